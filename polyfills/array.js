@@ -0,0 +1,814 @@
+// ============================================
+// ARRAY METHODS POLYFILLS
+// ============================================
+
+const { definePolyfill } = require('./installer');
+const {
+  toIntegerOrInfinity,
+  toLength,
+  isConstructor,
+  createDataPropertyOrThrow
+} = require('./spec');
+
+// 0. Spec helpers (array-specific abstract operations)
+// Results are created through `constructor[Symbol.species]`, so methods on
+// an Array subclass return instances of that subclass
+function arraySpeciesCreate(originalArray, length) {
+  if (!Array.isArray(originalArray)) {
+    return new Array(length);
+  }
+  
+  let C = originalArray.constructor;
+  
+  if (C !== null && (typeof C === 'object' || typeof C === 'function')) {
+    C = C[Symbol.species];
+    if (C === null) {
+      C = undefined;
+    }
+  }
+  
+  if (C === undefined) {
+    return new Array(length);
+  }
+  
+  if (!isConstructor(C)) {
+    throw new TypeError('object.constructor[Symbol.species] is not a constructor');
+  }
+  
+  return new C(length);
+}
+
+// Resolve a relative index (negative counts back from `len`) into [0, len]
+function toRelativeIndex(value, len) {
+  const relative = toIntegerOrInfinity(value);
+  return relative < 0 ? Math.max(len + relative, 0) : Math.min(relative, len);
+}
+
+// FlattenIntoArray, shared by flat() and flatMap(). Holes are skipped, never
+// turned into undefined. Returns the next free index in `target`.
+function flattenIntoArray(target, source, sourceLen, start, depth, mapper, thisArg) {
+  let targetIndex = start;
+  
+  for (let sourceIndex = 0; sourceIndex < sourceLen; sourceIndex++) {
+    if (!(sourceIndex in source)) continue;
+    
+    let element = source[sourceIndex];
+    
+    if (mapper) {
+      element = mapper.call(thisArg, element, sourceIndex, source);
+    }
+    
+    if (depth > 0 && Array.isArray(element)) {
+      targetIndex = flattenIntoArray(target, element, toLength(element.length), targetIndex, depth - 1);
+    } else {
+      if (targetIndex >= Number.MAX_SAFE_INTEGER) {
+        throw new TypeError('Flattened array is too long');
+      }
+      createDataPropertyOrThrow(target, targetIndex++, element);
+    }
+  }
+  
+  return targetIndex;
+}
+
+
+// 1. Array.prototype.map()
+definePolyfill(Array.prototype, 'map', 1, function(callback, thisArg) {
+  // Strict mode, or a null/undefined `this` would silently become
+  // globalThis (and primitives would be boxed) before we could check it
+  'use strict';
+  
+  // Handle null/undefined
+  if (this == null) {
+    throw new TypeError('Array.prototype.map called on null or undefined');
+  }
+  
+  // Spec order: ToObject, then read length, then validate the callback
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  // Ensure callback is a function
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  const result = arraySpeciesCreate(O, len);
+  
+  for (let i = 0; i < len; i++) {
+    // Check if property exists (sparse arrays keep their holes)
+    if (i in O) {
+      createDataPropertyOrThrow(result, i, callback.call(thisArg, O[i], i, O));
+    }
+  }
+  
+  return result;
+});
+
+// 2. Array.prototype.reduce()
+definePolyfill(Array.prototype, 'reduce', 1, function(callback, initialValue) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.reduce called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  let k = 0;
+  let accumulator;
+  
+  // If initialValue provided (even if it is undefined)
+  if (arguments.length >= 2) {
+    accumulator = initialValue;
+  } else {
+    // Find first existing element
+    while (k < len && !(k in O)) {
+      k++;
+    }
+    
+    // Empty array with no initial value
+    if (k >= len) {
+      throw new TypeError('Reduce of empty array with no initial value');
+    }
+    
+    accumulator = O[k++];
+  }
+  
+  // Iterate through array
+  while (k < len) {
+    if (k in O) {
+      accumulator = callback(accumulator, O[k], k, O);
+    }
+    k++;
+  }
+  
+  return accumulator;
+});
+
+// 3. Array.prototype.filter()
+definePolyfill(Array.prototype, 'filter', 1, function(callback, thisArg) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.filter called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  const result = arraySpeciesCreate(O, 0);
+  let to = 0;
+  
+  for (let i = 0; i < len; i++) {
+    if (i in O) {
+      const val = O[i];
+      if (callback.call(thisArg, val, i, O)) {
+        createDataPropertyOrThrow(result, to++, val);
+      }
+    }
+  }
+  
+  return result;
+});
+
+// 4. Array.prototype.forEach()
+definePolyfill(Array.prototype, 'forEach', 1, function(callback, thisArg) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.forEach called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  for (let i = 0; i < len; i++) {
+    if (i in O) {
+      callback.call(thisArg, O[i], i, O);
+    }
+  }
+  
+  // forEach returns undefined
+  return undefined;
+});
+
+// 5. Array.prototype.find()
+definePolyfill(Array.prototype, 'find', 1, function(callback, thisArg) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.find called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  // Unlike map/filter/forEach, find visits holes (as undefined)
+  for (let i = 0; i < len; i++) {
+    const val = O[i];
+    if (callback.call(thisArg, val, i, O)) {
+      return val;
+    }
+  }
+  
+  return undefined;
+});
+
+// 6. Array.prototype.some() / every()
+definePolyfill(Array.prototype, 'some', 1, function(callback, thisArg) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.some called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  for (let i = 0; i < len; i++) {
+    if (i in O && callback.call(thisArg, O[i], i, O)) {
+      return true;
+    }
+  }
+  
+  return false;
+});
+
+definePolyfill(Array.prototype, 'every', 1, function(callback, thisArg) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.every called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  for (let i = 0; i < len; i++) {
+    if (i in O && !callback.call(thisArg, O[i], i, O)) {
+      return false;
+    }
+  }
+  
+  return true;
+});
+
+// 7. Array.prototype.reduceRight()
+definePolyfill(Array.prototype, 'reduceRight', 1, function(callback, initialValue) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.reduceRight called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  let k = len - 1;
+  let accumulator;
+  
+  if (arguments.length >= 2) {
+    accumulator = initialValue;
+  } else {
+    // Find last existing element
+    while (k >= 0 && !(k in O)) {
+      k--;
+    }
+    
+    if (k < 0) {
+      throw new TypeError('Reduce of empty array with no initial value');
+    }
+    
+    accumulator = O[k--];
+  }
+  
+  while (k >= 0) {
+    if (k in O) {
+      accumulator = callback(accumulator, O[k], k, O);
+    }
+    k--;
+  }
+  
+  return accumulator;
+});
+
+// 8. Array.prototype.findIndex() / findLast() / findLastIndex()
+// Like find, these visit holes (as undefined)
+definePolyfill(Array.prototype, 'findIndex', 1, function(callback, thisArg) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.findIndex called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  for (let i = 0; i < len; i++) {
+    if (callback.call(thisArg, O[i], i, O)) {
+      return i;
+    }
+  }
+  
+  return -1;
+});
+
+definePolyfill(Array.prototype, 'findLast', 1, function(callback, thisArg) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.findLast called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  for (let i = len - 1; i >= 0; i--) {
+    const val = O[i];
+    if (callback.call(thisArg, val, i, O)) {
+      return val;
+    }
+  }
+  
+  return undefined;
+});
+
+definePolyfill(Array.prototype, 'findLastIndex', 1, function(callback, thisArg) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.findLastIndex called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  for (let i = len - 1; i >= 0; i--) {
+    if (callback.call(thisArg, O[i], i, O)) {
+      return i;
+    }
+  }
+  
+  return -1;
+});
+
+// 9. Array.prototype.flatMap()
+// map() followed by flat(1), in a single pass (see flattenIntoArray)
+definePolyfill(Array.prototype, 'flatMap', 1, function(callback, thisArg) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.flatMap called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const sourceLen = toLength(O.length);
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  const result = arraySpeciesCreate(O, 0);
+  flattenIntoArray(result, O, sourceLen, 0, 1, callback, thisArg);
+  return result;
+});
+
+// 10. Array.prototype.includes()
+definePolyfill(Array.prototype, 'includes', 1, function(searchElement, fromIndex) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.includes called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  
+  if (len === 0) {
+    return false;
+  }
+  
+  const n = toIntegerOrInfinity(fromIndex);
+  
+  for (let k = n >= 0 ? n : Math.max(len + n, 0); k < len; k++) {
+    const element = O[k];
+    
+    // SameValueZero: like === except NaN equals NaN (and 0 equals -0)
+    if (element === searchElement || (element !== element && searchElement !== searchElement)) {
+      return true;
+    }
+  }
+  
+  return false;
+});
+
+// 11. Array.prototype.at()
+definePolyfill(Array.prototype, 'at', 1, function(index) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.at called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  const relativeIndex = toIntegerOrInfinity(index);
+  const k = relativeIndex >= 0 ? relativeIndex : len + relativeIndex;
+  
+  if (k < 0 || k >= len) {
+    return undefined;
+  }
+  
+  return O[k];
+});
+
+// 12. Array.prototype.fill() / copyWithin()
+// Both mutate and return the array itself
+definePolyfill(Array.prototype, 'fill', 1, function(value, start, end) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.fill called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  const k = toRelativeIndex(start, len);
+  const final = end === undefined ? len : toRelativeIndex(end, len);
+  
+  for (let i = k; i < final; i++) {
+    O[i] = value; // Throws in strict mode for frozen/non-writable targets
+  }
+  
+  return O;
+});
+
+definePolyfill(Array.prototype, 'copyWithin', 2, function(target, start, end) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.copyWithin called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  let to = toRelativeIndex(target, len);
+  let from = toRelativeIndex(start, len);
+  const final = end === undefined ? len : toRelativeIndex(end, len);
+  let count = Math.min(final - from, len - to);
+  let direction = 1;
+  
+  // Overlapping ranges where the target is ahead: copy back to front
+  if (from < to && to < from + count) {
+    direction = -1;
+    from += count - 1;
+    to += count - 1;
+  }
+  
+  while (count > 0) {
+    if (from in O) {
+      O[to] = O[from];
+    } else {
+      delete O[to]; // Holes are copied as holes
+    }
+    
+    from += direction;
+    to += direction;
+    count--;
+  }
+  
+  return O;
+});
+
+// 13. Array.from()
+definePolyfill(Array, 'from', 1, function(items, mapFn, thisArg) {
+  'use strict';
+  
+  // `this` is the constructor, so subclasses get instances of themselves
+  const C = this;
+  
+  if (mapFn !== undefined && typeof mapFn !== 'function') {
+    throw new TypeError(mapFn + ' is not a function');
+  }
+  
+  const usingIterator = items == null ? undefined : items[Symbol.iterator];
+  
+  if (usingIterator != null) {
+    if (typeof usingIterator !== 'function') {
+      throw new TypeError(usingIterator + ' is not a function');
+    }
+    
+    const result = isConstructor(C) ? new C() : [];
+    let k = 0;
+    
+    // Wrapping the iterator means @@iterator is only read once, and
+    // for...of closes it if mapFn or defining a property throws
+    for (const value of { [Symbol.iterator]: () => usingIterator.call(items) }) {
+      createDataPropertyOrThrow(result, k, mapFn ? mapFn.call(thisArg, value, k) : value);
+      k++;
+    }
+    
+    result.length = k;
+    return result;
+  }
+  
+  // Not iterable: treat as array-like (throws for null/undefined)
+  if (items == null) {
+    throw new TypeError(items + ' is not iterable');
+  }
+  
+  const arrayLike = Object(items);
+  const len = toLength(arrayLike.length);
+  const result = isConstructor(C) ? new C(len) : new Array(len);
+  
+  for (let k = 0; k < len; k++) {
+    const value = arrayLike[k];
+    createDataPropertyOrThrow(result, k, mapFn ? mapFn.call(thisArg, value, k) : value);
+  }
+  
+  result.length = len;
+  return result;
+});
+
+// 14. Array.of()
+definePolyfill(Array, 'of', 0, function() {
+  'use strict';
+  
+  const len = arguments.length;
+  const C = this;
+  // Unlike Array(3), Array.of(3) is [3]
+  const result = isConstructor(C) ? new C(len) : new Array(len);
+  
+  for (let k = 0; k < len; k++) {
+    createDataPropertyOrThrow(result, k, arguments[k]);
+  }
+  
+  result.length = len;
+  return result;
+});
+
+// 15. ES2023 change-by-copy: toSorted(), toReversed(), toSpliced(), with()
+// Non-mutating versions of sort/reverse/splice/index assignment. They always
+// return a plain Array (no species), and read holes as undefined.
+definePolyfill(Array.prototype, 'toSorted', 1, function(compareFn) {
+  'use strict';
+  
+  if (compareFn !== undefined && typeof compareFn !== 'function') {
+    throw new TypeError('The comparison function must be either a function or undefined');
+  }
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.toSorted called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  const result = new Array(len); // RangeError past 2^32 - 1, like ArrayCreate
+  const items = [];
+  
+  for (let k = 0; k < len; k++) {
+    items.push([O[k], k]);
+  }
+  
+  // SortCompare: undefined sorts last, default order compares strings.
+  // Falling back to the original index keeps the sort stable even on
+  // engines whose native sort isn't.
+  items.sort(([x, i], [y, j]) => {
+    if (x === undefined || y === undefined) {
+      return (x === undefined) - (y === undefined) || i - j;
+    }
+    
+    if (compareFn) {
+      return +compareFn(x, y) || i - j;
+    }
+    
+    // Template literals throw for Symbols, like the spec's ToString
+    const a = `${x}`;
+    const b = `${y}`;
+    return a < b ? -1 : a > b ? 1 : i - j;
+  });
+  
+  items.forEach(([value], k) => createDataPropertyOrThrow(result, k, value));
+  return result;
+});
+
+definePolyfill(Array.prototype, 'toReversed', 0, function() {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.toReversed called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  const result = new Array(len);
+  
+  for (let k = 0; k < len; k++) {
+    createDataPropertyOrThrow(result, k, O[len - k - 1]);
+  }
+  
+  return result;
+});
+
+definePolyfill(Array.prototype, 'toSpliced', 2, function(start, skipCount) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.toSpliced called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  const actualStart = toRelativeIndex(start, len);
+  const items = Array.prototype.slice.call(arguments, 2);
+  let actualSkipCount;
+  
+  // toSpliced() removes nothing, toSpliced(start) removes everything after start
+  if (arguments.length === 0) {
+    actualSkipCount = 0;
+  } else if (arguments.length === 1) {
+    actualSkipCount = len - actualStart;
+  } else {
+    const count = toIntegerOrInfinity(skipCount);
+    actualSkipCount = Math.min(Math.max(count, 0), len - actualStart);
+  }
+  
+  const newLen = len + items.length - actualSkipCount;
+  
+  if (newLen > Number.MAX_SAFE_INTEGER) {
+    throw new TypeError('Invalid array length');
+  }
+  
+  const result = new Array(newLen);
+  let i = 0;
+  let r = actualStart + actualSkipCount;
+  
+  while (i < actualStart) {
+    createDataPropertyOrThrow(result, i, O[i]);
+    i++;
+  }
+  
+  items.forEach(item => createDataPropertyOrThrow(result, i++, item));
+  
+  while (i < newLen) {
+    createDataPropertyOrThrow(result, i++, O[r++]);
+  }
+  
+  return result;
+});
+
+definePolyfill(Array.prototype, 'with', 2, function(index, value) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.with called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const len = toLength(O.length);
+  const relativeIndex = toIntegerOrInfinity(index);
+  const actualIndex = relativeIndex >= 0 ? relativeIndex : len + relativeIndex;
+  
+  // Unlike at(), an out-of-range index is an error
+  if (actualIndex >= len || actualIndex < 0) {
+    throw new RangeError('Invalid index : ' + index);
+  }
+  
+  const result = new Array(len);
+  
+  for (let k = 0; k < len; k++) {
+    createDataPropertyOrThrow(result, k, k === actualIndex ? value : O[k]);
+  }
+  
+  return result;
+});
+
+// 16. Object.groupBy() / Map.groupBy()
+// GroupBy: iterate any iterable, calling callback(value, index) for the key
+function groupBy(items, callback, addToGroup) {
+  if (items == null) {
+    throw new TypeError(items + ' is not iterable');
+  }
+  
+  if (typeof callback !== 'function') {
+    throw new TypeError(callback + ' is not a function');
+  }
+  
+  let k = 0;
+  
+  // A throwing callback exits the for...of, which closes the iterator
+  for (const value of items) {
+    addToGroup(callback(value, k++), value);
+  }
+}
+
+definePolyfill(Object, 'groupBy', 2, function(items, callback) {
+  'use strict';
+  
+  // Null prototype, so a group named "constructor" or "__proto__" is safe
+  const groups = Object.create(null);
+  
+  groupBy(items, callback, (key, value) => {
+    // ToPropertyKey exactly as the spec does it: via a computed key
+    const propertyKey = Reflect.ownKeys({ [key]: null })[0];
+    
+    if (!(propertyKey in groups)) {
+      createDataPropertyOrThrow(groups, propertyKey, []);
+    }
+    groups[propertyKey].push(value);
+  });
+  
+  return groups;
+});
+
+definePolyfill(Map, 'groupBy', 2, function(items, callback) {
+  'use strict';
+  
+  // Keys are compared with SameValueZero, so objects can be keys too
+  const groups = new Map();
+  
+  groupBy(items, callback, (key, value) => {
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(value);
+  });
+  
+  return groups;
+});
+
+// 17. Flatten array (deeply nested arrays) / Array.prototype.flat()
+function flattenArray(arr, depth = Infinity) {
+  if (depth === 0) return arr.slice();
+  
+  return arr.reduce((acc, val) => {
+    if (Array.isArray(val)) {
+      acc.push(...flattenArray(val, depth - 1));
+    } else {
+      acc.push(val);
+    }
+    return acc;
+  }, []);
+}
+
+definePolyfill(Array.prototype, 'flat', 0, function(depth) {
+  'use strict';
+  
+  if (this == null) {
+    throw new TypeError('Array.prototype.flat called on null or undefined');
+  }
+  
+  const O = Object(this);
+  const sourceLen = toLength(O.length);
+  // flat() === flat(1); NaN or negative depths mean "don't flatten"
+  const depthNum = depth === undefined ? 1 : Math.max(toIntegerOrInfinity(depth), 0);
+  const result = arraySpeciesCreate(O, 0);
+  
+  flattenIntoArray(result, O, sourceLen, 0, depthNum);
+  return result;
+});
+
+module.exports = {
+  flattenArray
+};
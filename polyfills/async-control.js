@@ -0,0 +1,501 @@
+// ============================================
+// MAP LIMIT (Concurrent Async Operations)
+// ============================================
+
+const {
+  createAbortError,
+  createAggregateError,
+  throwIfAborted,
+  abortable,
+  isAsyncIterable
+} = require('./promise');
+const { systemClock } = require('./clock');
+
+// Run asyncFn(item, index, signal) over `array` with at most `limit` calls in
+// flight, using a pool of workers that share one iterator. Results keep input
+// order. `mode` decides what a failing call does:
+//   'failFast' - reject with the first error right away and abort the
+//                signal, so in-flight calls can stop early (the default)
+//   'settle'   - never reject; resolve with allSettled-style results
+//   'collect'  - run everything, then reject with an AggregateError of all
+//                failures (in input order) if any call failed
+// Aborting `options.signal` rejects right away in every mode.
+const MAP_LIMIT_MODES = ['failFast', 'settle', 'collect'];
+
+async function mapLimit(array, limit, asyncFn, options = {}) {
+  const { mode = 'failFast', signal } = options;
+  
+  if (!MAP_LIMIT_MODES.includes(mode)) {
+    throw new TypeError(`Unknown mode "${mode}", expected one of ${MAP_LIMIT_MODES.join(', ')}`);
+  }
+  
+  if (!(limit >= 1 && (Number.isInteger(limit) || limit === Infinity))) {
+    throw new TypeError('Limit must be a positive integer or Infinity, got ' + limit);
+  }
+  
+  throwIfAborted(signal);
+  
+  // What the calls see: aborts with the caller's signal, or with the first
+  // error in failFast mode
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(createAbortError(signal));
+  signal?.addEventListener('abort', onAbort, { once: true });
+  
+  const results = new Array(array.length);
+  const errors = [];
+  const iterator = array.entries();
+  
+  async function worker() {
+    for (const [index, item] of iterator) {
+      // Stop picking up new items once aborted
+      throwIfAborted(controller.signal);
+      
+      try {
+        const value = await asyncFn(item, index, controller.signal);
+        results[index] = mode === 'settle' ? { status: 'fulfilled', value } : value;
+      } catch (error) {
+        if (mode === 'failFast') {
+          controller.abort(error);
+          throw error;
+        }
+        
+        if (mode === 'settle') {
+          results[index] = { status: 'rejected', reason: error };
+        } else {
+          errors[index] = error;
+        }
+      }
+    }
+  }
+  
+  // Create workers up to limit
+  const workers = Array(Math.min(limit, array.length))
+    .fill()
+    .map(() => worker());
+  
+  try {
+    // Promise.all observes every worker, so the calls still in flight after
+    // a failure or an abort can't turn into unhandled rejections
+    await abortable(Promise.all(workers), controller.signal);
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+  
+  if (mode === 'collect' && errors.length > 0) {
+    const failures = Object.values(errors); // Skips the holes left by successes
+    throw createAggregateError(failures, `${failures.length} of ${array.length} calls failed`);
+  }
+  
+  return results;
+}
+
+// Streaming mapLimit: an async generator over any sync or async iterable
+// that yields each result as soon as it can, instead of one array at the end.
+//   ordered: false - yield in completion order (the default)
+//   ordered: true  - yield in input order; a slow item holds back later ones
+// Backpressure: a slot is only freed once its result has been consumed, so
+// at most `limit` items are ever running or waiting to be read, and the
+// source is read no faster than the consumer takes results. A failed call
+// is thrown when its turn comes. Breaking out of the loop (or an error)
+// aborts the calls still in flight and closes the source.
+async function* mapLimitIterable(source, limit, fn, options = {}) {
+  const { ordered = false, signal } = options;
+  
+  if (!(limit >= 1 && (Number.isInteger(limit) || limit === Infinity))) {
+    throw new TypeError('Limit must be a positive integer or Infinity, got ' + limit);
+  }
+  
+  throwIfAborted(signal);
+  
+  // Sync iterables go through an async generator, which awaits each value
+  // like `for await` does
+  const iterator = isAsyncIterable(source)
+    ? source[Symbol.asyncIterator]()
+    : (async function* () { yield* source; })();
+  
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(createAbortError(signal));
+  signal?.addEventListener('abort', onAbort, { once: true });
+  
+  const outcomes = new Map(); // Settled, not yet yielded - in completion order
+  let running = 0;
+  let inputIndex = 0;
+  let outputIndex = 0;        // Next index to yield in ordered mode
+  let sourceDone = false;
+  let pendingNext = null;     // A next() call the source hasn't answered yet
+  let wake = null;            // Resolves the wait for the next settled call
+  
+  function start(item, index) {
+    running++;
+    
+    Promise.resolve()
+      .then(() => fn(item, index, controller.signal))
+      .then(
+        value => ({ status: 'fulfilled', value }),
+        reason => ({ status: 'rejected', reason })
+      )
+      .then(outcome => {
+        running--;
+        outcomes.set(index, outcome);
+        wake?.();
+      });
+  }
+  
+  try {
+    while (true) {
+      throwIfAborted(controller.signal);
+      
+      // Fill the free slots from the source
+      while (!sourceDone && running + outcomes.size < limit) {
+        let step;
+        
+        try {
+          pendingNext = iterator.next();
+          step = await abortable(pendingNext, controller.signal);
+          pendingNext = null;
+        } catch (error) {
+          // A source that throws is finished; there's nothing to close
+          sourceDone = !controller.signal.aborted;
+          throw error;
+        }
+        
+        if (step.done) {
+          sourceDone = true;
+        } else {
+          start(step.value, inputIndex++);
+        }
+      }
+      
+      if (sourceDone && running === 0 && outcomes.size === 0) {
+        return;
+      }
+      
+      const ready = () => (ordered ? outcomes.has(outputIndex) : outcomes.size > 0);
+      
+      while (!ready()) {
+        await abortable(new Promise(resolve => { wake = resolve; }), controller.signal);
+        wake = null;
+      }
+      
+      const index = ordered ? outputIndex++ : outcomes.keys().next().value;
+      const outcome = outcomes.get(index);
+      outcomes.delete(index);
+      
+      if (outcome.status === 'rejected') {
+        throw outcome.reason;
+      }
+      
+      yield outcome.value;
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    
+    if (running > 0) {
+      controller.abort(createAbortError());
+    }
+    
+    if (!sourceDone && pendingNext) {
+      // An async generator queues return() behind the next() it's still
+      // working on, so awaiting it would hold an abort up until the source
+      // produces a value (or forever)
+      new Promise(resolve => resolve(iterator.return?.())).catch(() => {});
+    } else if (!sourceDone) {
+      await iterator.return?.();
+    }
+  }
+}
+
+// ============================================
+// PARALLEL LIMIT FUNCTION
+// ============================================
+
+// Run task functions with at most `limit` in flight: mapLimit over the tasks,
+// so it takes the same options ({ mode, signal }) and each task is called as
+// task(signal)
+function parallelLimit(tasks, limit, options = {}) {
+  return mapLimit(tasks, limit, (task, index, signal) => task(signal), options);
+}
+
+// Better implementation
+async function parallelLimitOptimized(tasks, limit, options = {}) {
+  const { signal } = options;
+  const results = new Array(tasks.length);
+  const iterator = tasks.entries();
+  let completed = 0;
+  
+  async function worker() {
+    for (const [index, task] of iterator) {
+      throwIfAborted(signal);
+      
+      try {
+        results[index] = await task(signal);
+        completed++;
+      } catch (error) {
+        results[index] = { error };
+        completed++;
+      }
+    }
+  }
+  
+  const workers = Array(Math.min(limit, tasks.length))
+    .fill()
+    .map(() => worker());
+  
+  await abortable(Promise.all(workers), signal);
+  return results;
+}
+
+// With progress tracking
+async function parallelLimitWithProgress(tasks, limit, onProgress) {
+  const results = new Array(tasks.length);
+  const iterator = tasks.entries();
+  let completed = 0;
+  
+  async function worker() {
+    for (const [index, task] of iterator) {
+      try {
+        results[index] = await task();
+        completed++;
+        if (onProgress) {
+          onProgress(completed, tasks.length);
+        }
+      } catch (error) {
+        results[index] = { error };
+        completed++;
+        if (onProgress) {
+          onProgress(completed, tasks.length);
+        }
+      }
+    }
+  }
+  
+  const workers = Array(Math.min(limit, tasks.length))
+    .fill()
+    .map(() => worker());
+  
+  await Promise.all(workers);
+  return results;
+}
+
+// ============================================
+// TASK POOL (Long-lived concurrency queue)
+// ============================================
+
+// The worker pattern from mapLimit, for tasks that arrive over time:
+// workers pull from one shared iterator over a priority queue. A worker exits
+// when the queue runs dry (or the limit dropped below the number of workers),
+// and add() / resume() / setConcurrency() start new ones as needed.
+//
+// Each task is called as task(signal). The signal aborts when the task times
+// out or the `signal` passed to add() aborts, and the task's promise rejects
+// right away with the reason - its slot is freed for the next task.
+class TaskPool {
+  constructor(options = {}) {
+    const { concurrency = Infinity, timeout = 0, clock = systemClock } = options;
+    
+    this.queue = [];         // Sorted by priority (highest first), FIFO within one
+    this.workers = 0;
+    this.running = 0;
+    this.paused = false;
+    this.timeout = timeout;  // Default per-task timeout in ms, 0 = none
+    this.clock = clock;
+    this.emptyWaiters = [];
+    this.idleWaiters = [];
+    this.setConcurrency(concurrency);
+  }
+  
+  // Resolves with the task's result, or rejects with its error, a
+  // TimeoutError or the abort reason
+  add(task, options = {}) {
+    const { priority = 0, timeout = this.timeout, signal } = options;
+    
+    if (typeof task !== 'function') {
+      throw new TypeError('Task must be a function');
+    }
+    
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(createAbortError(signal));
+      }
+      
+      const entry = {
+        task,
+        priority,
+        timeout,
+        signal,
+        controller: new AbortController(),
+        resolve,
+        reject,
+        onAbort: () => {
+          const index = this.queue.indexOf(entry);
+          
+          if (index !== -1) {
+            // Still queued: drop it without ever running it
+            this.queue.splice(index, 1);
+            reject(createAbortError(signal));
+            this.notify();
+          } else {
+            entry.controller.abort(createAbortError(signal));
+          }
+        }
+      };
+      
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+      
+      // Insert after every task with the same or a higher priority
+      let index = this.queue.length;
+      while (index > 0 && this.queue[index - 1].priority < priority) {
+        index--;
+      }
+      this.queue.splice(index, 0, entry);
+      
+      this.startWorkers();
+    });
+  }
+  
+  // Takes effect immediately: raising it starts workers, lowering it lets
+  // surplus workers exit as soon as their current task settles
+  setConcurrency(concurrency) {
+    if (!(concurrency >= 1 && (Number.isInteger(concurrency) || concurrency === Infinity))) {
+      throw new TypeError('Concurrency must be a positive integer or Infinity, got ' + concurrency);
+    }
+    
+    this.concurrency = concurrency;
+    this.startWorkers();
+  }
+  
+  // Stop starting queued tasks; running tasks carry on
+  pause() {
+    this.paused = true;
+  }
+  
+  resume() {
+    this.paused = false;
+    this.startWorkers();
+  }
+  
+  // Reject every queued task (running tasks carry on)
+  clear() {
+    const cleared = this.queue.splice(0);
+    
+    cleared.forEach(entry => {
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      entry.reject(createAbortError());
+    });
+    this.notify();
+  }
+  
+  // Queued tasks
+  size() {
+    return this.queue.length;
+  }
+  
+  // Running tasks
+  pending() {
+    return this.running;
+  }
+  
+  // Resolves once the queue is empty (tasks may still be running)
+  onEmpty() {
+    return new Promise(resolve => {
+      this.emptyWaiters.push(resolve);
+      this.notify();
+    });
+  }
+  
+  // Resolves once the queue is empty and every task has settled
+  onIdle() {
+    return new Promise(resolve => {
+      this.idleWaiters.push(resolve);
+      this.notify();
+    });
+  }
+  
+  startWorkers() {
+    // Each new worker takes a task synchronously, so this never overshoots
+    while (!this.paused && this.queue.length > 0 && this.workers < this.concurrency) {
+      this.worker();
+    }
+  }
+  
+  async worker() {
+    this.workers++;
+    
+    try {
+      for (const entry of this.tasks()) {
+        await this.run(entry);
+      }
+    } finally {
+      this.workers--;
+    }
+  }
+  
+  // The shared iterator: every worker pulls from the same queue
+  *tasks() {
+    while (!this.paused && this.queue.length > 0 && this.workers <= this.concurrency) {
+      const entry = this.queue.shift();
+      // Counted as running from here on, so onIdle() can't resolve in between
+      this.running++;
+      this.notify();
+      yield entry;
+    }
+  }
+  
+  // Never rejects: the outcome goes to the promise returned by add()
+  async run(entry) {
+    const { task, timeout, signal, controller, resolve, reject, onAbort } = entry;
+    let timeoutId;
+    
+    if (timeout > 0 && timeout !== Infinity) {
+      timeoutId = this.clock.setTimeout(() => {
+        controller.abort(createTimeoutError(timeout));
+      }, timeout);
+    }
+    
+    try {
+      resolve(await abortable(
+        Promise.resolve().then(() => task(controller.signal)),
+        controller.signal
+      ));
+    } catch (error) {
+      reject(error);
+    } finally {
+      this.clock.clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+      this.running--;
+      this.notify();
+    }
+  }
+  
+  notify() {
+    if (this.queue.length === 0) {
+      this.emptyWaiters.splice(0).forEach(resolve => resolve());
+      
+      if (this.running === 0) {
+        this.idleWaiters.splice(0).forEach(resolve => resolve());
+      }
+    }
+  }
+}
+
+// Same shape as the error AbortSignal.timeout() aborts with
+function createTimeoutError(ms) {
+  const message = `Task timed out after ${ms}ms`;
+  
+  if (typeof DOMException === 'function') {
+    return new DOMException(message, 'TimeoutError');
+  }
+  
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+module.exports = {
+  mapLimit,
+  mapLimitIterable,
+  parallelLimit,
+  parallelLimitOptimized,
+  parallelLimitWithProgress,
+  TaskPool
+};
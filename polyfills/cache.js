@@ -0,0 +1,182 @@
+// ============================================
+// MEMOIZATION / CACHING
+// ============================================
+
+const { throwIfAborted, abortable } = require('./promise');
+const { systemClock } = require('./clock');
+
+// 1. Basic Memoization
+function memoize(fn) {
+  const cache = new Map();
+  
+  return function(...args) {
+    const key = JSON.stringify(args);
+    
+    if (cache.has(key)) {
+      console.log('Cache hit');
+      return cache.get(key);
+    }
+    
+    console.log('Computing...');
+    const result = fn.apply(this, args);
+    cache.set(key, result);
+    return result;
+  };
+}
+
+// 2. Memoization with custom key generator
+function memoizeWithKey(fn, keyGenerator) {
+  const cache = new Map();
+  
+  return function(...args) {
+    const key = keyGenerator ? keyGenerator(...args) : JSON.stringify(args);
+    
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+    
+    const result = fn.apply(this, args);
+    cache.set(key, result);
+    return result;
+  };
+}
+
+// 3. LRU (Least Recently Used) Cache
+class LRUCache {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.cache = new Map();
+  }
+  
+  get(key) {
+    if (!this.cache.has(key)) {
+      return undefined;
+    }
+    
+    // Move to end (most recently used)
+    const value = this.cache.get(key);
+    this.cache.delete(key);
+    this.cache.set(key, value);
+    return value;
+  }
+  
+  put(key, value) {
+    // Delete if exists (to reinsert at end)
+    if (this.cache.has(key)) {
+      this.cache.delete(key);
+    }
+    
+    // Remove least recently used if at capacity
+    if (this.cache.size >= this.capacity) {
+      const firstKey = this.cache.keys().next().value;
+      this.cache.delete(firstKey);
+    }
+    
+    this.cache.set(key, value);
+  }
+  
+  has(key) {
+    return this.cache.has(key);
+  }
+  
+  clear() {
+    this.cache.clear();
+  }
+  
+  size() {
+    return this.cache.size;
+  }
+}
+
+// 4. Memoization with LRU
+function memoizeWithLRU(fn, maxSize = 100) {
+  const cache = new LRUCache(maxSize);
+  
+  return function(...args) {
+    const key = JSON.stringify(args);
+    
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+    
+    const result = fn.apply(this, args);
+    cache.put(key, result);
+    return result;
+  };
+}
+
+// 5. Memoization with expiration
+function memoizeWithExpiration(fn, ttl = 60000, options = {}) {
+  const { clock = systemClock } = options;
+  const cache = new Map();
+  
+  return function(...args) {
+    const key = JSON.stringify(args);
+    const now = clock.now();
+    
+    if (cache.has(key)) {
+      const { value, timestamp } = cache.get(key);
+      if (now - timestamp < ttl) {
+        return value;
+      }
+      cache.delete(key);
+    }
+    
+    const result = fn.apply(this, args);
+    cache.set(key, { value: result, timestamp: now });
+    return result;
+  };
+}
+
+// 6. Memoization for async functions
+// Pass a `signal` to tie the cache to a lifetime (e.g. a component): aborting
+// rejects pending calls with an AbortError and drops everything cached.
+function memoizeAsync(fn, options = {}) {
+  const { signal } = options;
+  const cache = new Map();
+  const pending = new Map();
+  
+  signal?.addEventListener('abort', () => {
+    cache.clear();
+    pending.clear();
+  }, { once: true });
+  
+  return async function(...args) {
+    throwIfAborted(signal);
+    
+    const key = JSON.stringify(args);
+    
+    // Return cached result
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+    
+    // Return pending promise
+    if (pending.has(key)) {
+      return pending.get(key);
+    }
+    
+    // Create new promise
+    const promise = abortable(fn.apply(this, args), signal);
+    pending.set(key, promise);
+    
+    try {
+      const result = await promise;
+      cache.set(key, result);
+      pending.delete(key);
+      return result;
+    } catch (error) {
+      pending.delete(key);
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  memoize,
+  memoizeWithKey,
+  LRUCache,
+  memoizeWithLRU,
+  memoizeWithExpiration,
+  memoizeAsync
+};
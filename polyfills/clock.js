@@ -0,0 +1,175 @@
+// ============================================
+// CLOCKS
+// ============================================
+
+// Every timer-based utility (debounce, throttle, rafThrottle, idleDebounce,
+// the intervals, RateLimiter, Scheduler, memoizeWithExpiration, the retry
+// family, ...) takes a `clock` option: anything with now(), setTimeout() and
+// clearTimeout(). The default is the real thing; tests pass a FakeClock.
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms, ...args) => setTimeout(callback, ms, ...args),
+  clearTimeout: id => clearTimeout(id)
+};
+
+// Lets pending promise callbacks (and anything they await) run
+const flushPromises = () => new Promise(resolve => {
+  if (typeof setImmediate === 'function') {
+    setImmediate(resolve);
+  } else {
+    setTimeout(resolve, 0);
+  }
+});
+
+// A clock that only moves when told to. Timers due at the same time run in
+// the order they were set, and timers set by a running timer run in the same
+// tick() if they come due within it.
+//
+// tick(), runAll() and advanceToNextTimer() run the timers synchronously,
+// which suits callback code. For promise-based code (retry, debounceAsync,
+// RateLimiter.acquire, ...) use the Async versions: they let promise
+// callbacks run between timers, so a timer set after an `await` is seen.
+class FakeClock {
+  constructor(options = {}) {
+    const { now = 0, loopLimit = 1000 } = options;
+    
+    this.time = now instanceof Date ? now.getTime() : now;
+    // runAll() gives up after this many timers (an interval never runs out)
+    this.loopLimit = loopLimit;
+    this.timers = new Map();
+    this.nextId = 1;
+    
+    // Usable detached, like the globals: `const { setTimeout } = clock`
+    this.now = this.now.bind(this);
+    this.setTimeout = this.setTimeout.bind(this);
+    this.clearTimeout = this.clearTimeout.bind(this);
+  }
+  
+  now() {
+    return this.time;
+  }
+  
+  setTimeout(callback, ms = 0, ...args) {
+    if (typeof callback !== 'function') {
+      throw new TypeError('setTimeout callback must be a function');
+    }
+    
+    const id = this.nextId++;
+    const delay = Math.max(0, Number(ms) || 0);
+    
+    this.timers.set(id, { id, callback, args, time: this.time + delay });
+    return id;
+  }
+  
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+  
+  // Number of timers waiting to run
+  size() {
+    return this.timers.size;
+  }
+  
+  // Move time forward by `ms`, running every timer that comes due
+  tick(ms) {
+    const target = this.time + ms;
+    let timer;
+    
+    while ((timer = this.firstTimer(target))) {
+      this.runTimer(timer);
+    }
+    
+    this.time = target;
+    return this.time;
+  }
+  
+  // Jump to the next timer and run it
+  advanceToNextTimer() {
+    const timer = this.firstTimer(Infinity);
+    
+    if (timer) {
+      this.runTimer(timer);
+    }
+    
+    return this.time;
+  }
+  
+  // Run timers until there are none left, including ones they set
+  runAll() {
+    for (let count = 0; count < this.loopLimit; count++) {
+      if (this.timers.size === 0) {
+        return this.time;
+      }
+      
+      this.advanceToNextTimer();
+    }
+    
+    throw this.createLoopError();
+  }
+  
+  async tickAsync(ms) {
+    const target = this.time + ms;
+    let timer;
+    
+    await flushPromises();
+    
+    while ((timer = this.firstTimer(target))) {
+      this.runTimer(timer);
+      await flushPromises();
+    }
+    
+    this.time = target;
+    return this.time;
+  }
+  
+  async advanceToNextTimerAsync() {
+    await flushPromises();
+    this.advanceToNextTimer();
+    await flushPromises();
+    return this.time;
+  }
+  
+  async runAllAsync() {
+    await flushPromises();
+    
+    for (let count = 0; count < this.loopLimit; count++) {
+      if (this.timers.size === 0) {
+        return this.time;
+      }
+      
+      this.advanceToNextTimer();
+      await flushPromises();
+    }
+    
+    throw this.createLoopError();
+  }
+  
+  // The earliest timer due at or before `limit`. Map keeps insertion order,
+  // so among timers due at the same time the first one set wins.
+  firstTimer(limit) {
+    let first;
+    
+    for (const timer of this.timers.values()) {
+      if (timer.time <= limit && (!first || timer.time < first.time)) {
+        first = timer;
+      }
+    }
+    
+    return first;
+  }
+  
+  runTimer(timer) {
+    this.timers.delete(timer.id);
+    this.time = Math.max(this.time, timer.time);
+    timer.callback(...timer.args);
+  }
+  
+  createLoopError() {
+    return new Error(`Aborting after running ${this.loopLimit} timers, assuming an infinite loop`);
+  }
+}
+
+module.exports = {
+  systemClock,
+  FakeClock
+};
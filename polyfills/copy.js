@@ -0,0 +1,143 @@
+// ============================================
+// DEEP VS SHALLOW COPY
+// ============================================
+
+// 1. Shallow Copy
+function shallowCopy(obj) {
+  if (obj === null || typeof obj !== 'object') {
+    return obj;
+  }
+  
+  if (Array.isArray(obj)) {
+    return [...obj];
+  }
+  
+  return { ...obj };
+}
+
+// Alternative shallow copy methods
+const shallowCopyMethods = {
+  // Object.assign
+  method1: (obj) => Object.assign({}, obj),
+  
+  // Spread operator
+  method2: (obj) => ({ ...obj }),
+  
+  // Array methods
+  arraySlice: (arr) => arr.slice(),
+  arrayConcat: (arr) => [].concat(arr),
+  arraySpread: (arr) => [...arr],
+  
+  // Array.from
+  arrayFrom: (arr) => Array.from(arr)
+};
+
+
+// 2. Deep Copy
+function deepCopy(obj, hash = new WeakMap()) {
+  // Handle null and primitives
+  if (obj === null || typeof obj !== 'object') {
+    return obj;
+  }
+  
+  // Handle circular references
+  if (hash.has(obj)) {
+    return hash.get(obj);
+  }
+  
+  // Handle Date
+  if (obj instanceof Date) {
+    return new Date(obj);
+  }
+  
+  // Handle RegExp
+  if (obj instanceof RegExp) {
+    return new RegExp(obj.source, obj.flags);
+  }
+  
+  // Handle Array
+  if (Array.isArray(obj)) {
+    const arrCopy = [];
+    hash.set(obj, arrCopy);
+    obj.forEach((item, index) => {
+      arrCopy[index] = deepCopy(item, hash);
+    });
+    return arrCopy;
+  }
+  
+  // Handle Map
+  if (obj instanceof Map) {
+    const mapCopy = new Map();
+    hash.set(obj, mapCopy);
+    obj.forEach((value, key) => {
+      mapCopy.set(deepCopy(key, hash), deepCopy(value, hash));
+    });
+    return mapCopy;
+  }
+  
+  // Handle Set
+  if (obj instanceof Set) {
+    const setCopy = new Set();
+    hash.set(obj, setCopy);
+    obj.forEach(value => {
+      setCopy.add(deepCopy(value, hash));
+    });
+    return setCopy;
+  }
+  
+  // Handle Object
+  const objCopy = Object.create(Object.getPrototypeOf(obj));
+  hash.set(obj, objCopy);
+  
+  // Copy all properties including non-enumerable
+  Object.getOwnPropertyNames(obj).forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+    if (descriptor.value !== undefined) {
+      descriptor.value = deepCopy(descriptor.value, hash);
+    }
+    Object.defineProperty(objCopy, key, descriptor);
+  });
+  
+  // Copy symbols
+  Object.getOwnPropertySymbols(obj).forEach(symbol => {
+    objCopy[symbol] = deepCopy(obj[symbol], hash);
+  });
+  
+  return objCopy;
+}
+
+// Simpler deep copy (without all edge cases)
+function deepCopySimple(obj, cache = new WeakMap()) {
+  if (obj === null || typeof obj !== 'object') return obj;
+  if (cache.has(obj)) return cache.get(obj);
+  
+  if (obj instanceof Date) return new Date(obj);
+  if (obj instanceof RegExp) return new RegExp(obj);
+  
+  const copy = Array.isArray(obj) ? [] : {};
+  cache.set(obj, copy);
+  
+  Object.keys(obj).forEach(key => {
+    copy[key] = deepCopySimple(obj[key], cache);
+  });
+  
+  return copy;
+}
+
+// Using JSON (limitations: loses functions, dates become strings, circular refs fail)
+function deepCopyJSON(obj) {
+  try {
+    return JSON.parse(JSON.stringify(obj));
+  } catch (error) {
+    console.error('JSON deep copy failed:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  shallowCopy,
+  shallowCopyMethods,
+  deepCopy,
+  deepCopySimple,
+  deepCopyJSON
+};
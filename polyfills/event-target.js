@@ -0,0 +1,312 @@
+// ============================================
+// EVENTTARGET / EVENT / CUSTOMEVENT POLYFILLS
+// ============================================
+
+const { defineClassPolyfill } = require('./installer');
+const { EventEmitter } = require('./events');
+
+// For runtimes without the DOM event classes (embedded engines, older
+// workers). There's no tree to propagate through, so every dispatch is
+// AT_TARGET: capturing listeners run first, then the others.
+
+// Dispatch state the DOM keeps out of sight
+const eventStates = new WeakMap();
+
+// Events the emitter emits itself when its listeners change
+const EMITTER_META_EVENTS = ['newListener', 'removeListener'];
+
+const now = typeof performance !== 'undefined' ? () => performance.now() : () => Date.now();
+
+class MyEvent {
+  constructor(type, options = {}) {
+    if (arguments.length === 0) {
+      throw new TypeError('The "type" argument must be specified');
+    }
+    
+    const { bubbles = false, cancelable = false, composed = false } = options;
+    
+    this.type = String(type);
+    this.bubbles = Boolean(bubbles);
+    this.cancelable = Boolean(cancelable);
+    this.composed = Boolean(composed);
+    this.defaultPrevented = false;
+    this.target = null;
+    this.currentTarget = null;
+    this.eventPhase = MyEvent.NONE;
+    this.timeStamp = now();
+    this.isTrusted = false;
+    
+    eventStates.set(this, {
+      dispatching: false,
+      stopPropagation: false,
+      stopImmediatePropagation: false,
+      inPassiveListener: false
+    });
+  }
+  
+  // Ignored unless the event is cancelable, and inside passive listeners
+  preventDefault() {
+    const state = eventStates.get(this);
+    
+    if (this.cancelable && !state.inPassiveListener) {
+      this.defaultPrevented = true;
+    }
+  }
+  
+  stopPropagation() {
+    eventStates.get(this).stopPropagation = true;
+  }
+  
+  // Also skips the rest of this target's listeners
+  stopImmediatePropagation() {
+    const state = eventStates.get(this);
+    
+    state.stopPropagation = true;
+    state.stopImmediatePropagation = true;
+  }
+  
+  composedPath() {
+    return eventStates.get(this).dispatching && this.currentTarget ? [this.currentTarget] : [];
+  }
+}
+
+MyEvent.NONE = 0;
+MyEvent.CAPTURING_PHASE = 1;
+MyEvent.AT_TARGET = 2;
+MyEvent.BUBBLING_PHASE = 3;
+
+class MyCustomEvent extends MyEvent {
+  constructor(type, options = {}) {
+    super(type, options);
+    
+    const { detail = null } = options;
+    this.detail = detail;
+  }
+}
+
+// addEventListener(type, listener, true) is shorthand for { capture: true }
+function normalizeOptions(options) {
+  if (typeof options === 'boolean') {
+    return { capture: options, once: false, passive: false, signal: undefined };
+  }
+  
+  const { capture = false, once = false, passive = false, signal } = options || {};
+  return { capture: Boolean(capture), once: Boolean(once), passive: Boolean(passive), signal };
+}
+
+// Listener errors don't stop the dispatch: they're reported asynchronously,
+// like an uncaught error in a DOM event handler
+function reportError(error) {
+  if (typeof globalThis.reportError === 'function') {
+    globalThis.reportError(error);
+  } else {
+    setTimeout(() => {
+      throw error;
+    }, 0);
+  }
+}
+
+// A DOMException where there is one, else an Error with the same name
+function createInvalidStateError(message) {
+  if (typeof DOMException === 'function') {
+    return new DOMException(message, 'InvalidStateError');
+  }
+  
+  const error = new Error(message);
+  error.name = 'InvalidStateError';
+  return error;
+}
+
+// Emitter listeners get the event objects dispatched on the target; DOM
+// listeners get a CustomEvent (detail: the first argument) for emit() calls
+function toEvent(type, args) {
+  return args[0] instanceof MyEvent ? args[0] : new MyCustomEvent(type, { detail: args[0] });
+}
+
+class MyEventTarget {
+  constructor() {
+    // Listeners live in an EventEmitter: each DOM listener is an entry
+    // function (see createEntry), so the emitter can call it too
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+  
+  addEventListener(type, listener, options) {
+    const { capture, once, passive, signal } = normalizeOptions(options);
+    
+    if (listener === null || listener === undefined || signal?.aborted) {
+      return;
+    }
+    
+    if (typeof listener !== 'function' && typeof listener !== 'object') {
+      throw new TypeError('The "listener" argument must be a function or an object with handleEvent');
+    }
+    
+    // The same (type, listener, capture) is only added once
+    if (this.findEntry(String(type), listener, capture)) {
+      return;
+    }
+    
+    const entry = this.createEntry(String(type), listener, { capture, once, passive });
+    this.emitter.on(entry.type, entry);
+    
+    if (signal) {
+      const onAbort = () => this.removeEventListener(entry.type, listener, { capture });
+      
+      // Detached by removeEventListener, so a long-lived signal doesn't keep
+      // every listener it was ever passed with
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+    }
+  }
+  
+  removeEventListener(type, listener, options) {
+    const { capture } = normalizeOptions(options);
+    const entry = this.findEntry(String(type), listener, capture);
+    
+    if (entry) {
+      // A dispatch in progress skips it too
+      entry.removed = true;
+      entry.removeAbortListener?.();
+      this.emitter.off(entry.type, entry);
+    }
+  }
+  
+  // Returns false if a listener called preventDefault() on a cancelable event
+  dispatchEvent(event) {
+    if (!(event instanceof MyEvent)) {
+      throw new TypeError('The "event" argument must be an instance of Event');
+    }
+    
+    const state = eventStates.get(event);
+    
+    if (state.dispatching) {
+      throw createInvalidStateError('The event is already being dispatched');
+    }
+    
+    // Listeners added during the dispatch don't run for it
+    const listeners = this.emitter.rawListeners(event.type);
+    const capturing = listeners.filter(listener => listener.capture === true);
+    const others = listeners.filter(listener => listener.capture !== true);
+    
+    state.dispatching = true;
+    event.target = this;
+    event.currentTarget = this;
+    event.eventPhase = MyEvent.AT_TARGET;
+    
+    try {
+      for (const listener of [...capturing, ...others]) {
+        if (state.stopImmediatePropagation) break;
+        
+        if (listener.isEventTargetEntry) {
+          this.invokeEntry(listener, event);
+        } else {
+          // A listener added through the shared emitter
+          try {
+            listener.call(this.emitter, event);
+          } catch (error) {
+            reportError(error);
+          }
+        }
+      }
+    } finally {
+      state.dispatching = false;
+      state.stopPropagation = false;
+      state.stopImmediatePropagation = false;
+      event.currentTarget = null;
+      event.eventPhase = MyEvent.NONE;
+    }
+    
+    return !event.defaultPrevented;
+  }
+  
+  findEntry(type, listener, capture) {
+    return this.emitter.rawListeners(type).find(entry => (
+      entry.isEventTargetEntry && entry.listener === listener && entry.capture === capture
+    ));
+  }
+  
+  // The function stored in the emitter for one addEventListener() call.
+  // `listener` lets the emitter's listeners()/off() see the original.
+  createEntry(type, listener, { capture, once, passive }) {
+    const target = this;
+    
+    // Called by emitter.emit(type, ...args)
+    function entry(...args) {
+      // The emitter's own notice that a listener was added or removed, not
+      // an event for this target
+      if (EMITTER_META_EVENTS.includes(type) && !(args[0] instanceof MyEvent)) {
+        return;
+      }
+      
+      const event = toEvent(type, args);
+      
+      if (!eventStates.get(event).dispatching) {
+        event.target = target;
+        event.currentTarget = target;
+      }
+      
+      target.invokeEntry(entry, event);
+    }
+    
+    Object.assign(entry, { isEventTargetEntry: true, type, listener, capture, once, passive, removed: false });
+    return entry;
+  }
+  
+  invokeEntry(entry, event) {
+    if (entry.removed) {
+      return;
+    }
+    
+    if (entry.once) {
+      this.removeEventListener(entry.type, entry.listener, { capture: entry.capture });
+    }
+    
+    const state = eventStates.get(event);
+    state.inPassiveListener = entry.passive;
+    
+    try {
+      if (typeof entry.listener === 'function') {
+        entry.listener.call(event.currentTarget, event);
+      } else if (typeof entry.listener.handleEvent === 'function') {
+        entry.listener.handleEvent(event);
+      } else {
+        throw new TypeError('The listener\'s handleEvent is not a function');
+      }
+    } catch (error) {
+      reportError(error);
+    } finally {
+      state.inPassiveListener = false;
+    }
+  }
+}
+
+// An EventTarget over an existing emitter's listeners: emitter.emit('x', data)
+// reaches addEventListener('x') listeners as a CustomEvent with that detail,
+// and dispatchEvent() reaches emitter.on() listeners with the event
+function eventTargetFromEmitter(emitter) {
+  const target = new MyEventTarget();
+  target.emitter = emitter;
+  return target;
+}
+
+// The other direction: the emitter that holds a target's listeners
+function emitterFromEventTarget(target) {
+  if (!(target instanceof MyEventTarget)) {
+    throw new TypeError('Expected an EventTarget created by this polyfill');
+  }
+  
+  return target.emitter;
+}
+
+defineClassPolyfill(globalThis, 'Event', MyEvent, 'MyEvent');
+defineClassPolyfill(globalThis, 'CustomEvent', MyCustomEvent, 'MyCustomEvent');
+defineClassPolyfill(globalThis, 'EventTarget', MyEventTarget, 'MyEventTarget');
+
+module.exports = {
+  MyEvent,
+  MyCustomEvent,
+  MyEventTarget,
+  eventTargetFromEmitter,
+  emitterFromEventTarget
+};
@@ -0,0 +1,601 @@
+// ============================================
+// EVENT EMITTER
+// ============================================
+
+const { createAbortError, throwIfAborted } = require('./promise');
+
+// Follows Node's `events` module: listeners run synchronously in the order
+// they were added, with `this` set to the emitter, and a throwing listener
+// stops the emit. Event names are strings or Symbols.
+
+// How emitAsync() awaits listeners: all at once, or one after another
+const EMIT_ASYNC_MODES = ['parallel', 'serial'];
+
+function checkListener(listener) {
+  if (typeof listener !== 'function') {
+    throw new TypeError('Listener must be a function');
+  }
+}
+
+// process.emitWarning in Node, the console elsewhere
+function emitWarning(warning) {
+  if (typeof process !== 'undefined' && typeof process.emitWarning === 'function') {
+    process.emitWarning(warning);
+  } else {
+    console.warn(`${warning.name}: ${warning.message}`);
+  }
+}
+
+// Wildcard mode indexes event names by segment ('cart.item.added' ->
+// cart / item / added), so finding the names an event matches walks only the
+// branches that can match instead of testing every name. '*' matches exactly
+// one segment and '**' any number, including none.
+class EventTrie {
+  constructor(delimiter) {
+    this.delimiter = delimiter;
+    this.root = { children: new Map(), name: undefined };
+  }
+  
+  add(name) {
+    let node = this.root;
+    
+    name.split(this.delimiter).forEach(segment => {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, { children: new Map(), name: undefined });
+      }
+      node = node.children.get(segment);
+    });
+    
+    node.name = name;
+  }
+  
+  remove(name) {
+    const segments = name.split(this.delimiter);
+    const path = [this.root];
+    
+    for (const segment of segments) {
+      const node = path[path.length - 1].children.get(segment);
+      
+      if (!node) return;
+      path.push(node);
+    }
+    
+    path[path.length - 1].name = undefined;
+    
+    // Prune the branches this leaves empty
+    for (let index = segments.length; index > 0; index--) {
+      const node = path[index];
+      
+      if (node.name !== undefined || node.children.size > 0) break;
+      path[index - 1].children.delete(segments[index - 1]);
+    }
+  }
+  
+  clear() {
+    this.root = { children: new Map(), name: undefined };
+  }
+  
+  // The added names that `pattern` matches. With `patternsInTrie`, wildcards
+  // in the added names count too ('cart.*' matches 'cart.item'); without,
+  // only the ones in `pattern` do. Exact segments come before wildcards.
+  match(pattern, patternsInTrie) {
+    const names = new Set();
+    
+    this.collect(this.root, pattern.split(this.delimiter), 0, patternsInTrie, names);
+    return [...names];
+  }
+  
+  collect(node, segments, index, patternsInTrie, names) {
+    const globstar = patternsInTrie ? node.children.get('**') : undefined;
+    
+    if (index === segments.length) {
+      if (node.name !== undefined) {
+        names.add(node.name);
+      }
+    } else if (segments[index] === '**') {
+      // Skip zero or more levels of the trie
+      this.collect(node, segments, index + 1, patternsInTrie, names);
+      node.children.forEach(child => this.collect(child, segments, index, patternsInTrie, names));
+    } else if (segments[index] === '*') {
+      node.children.forEach(child => this.collect(child, segments, index + 1, patternsInTrie, names));
+    } else {
+      const exact = node.children.get(segments[index]);
+      const star = patternsInTrie ? node.children.get('*') : undefined;
+      
+      if (exact) this.collect(exact, segments, index + 1, patternsInTrie, names);
+      if (star) this.collect(star, segments, index + 1, patternsInTrie, names);
+    }
+    
+    // A '**' in the trie swallows zero or more of the remaining segments
+    if (globstar) {
+      for (let next = index; next <= segments.length; next++) {
+        this.collect(globstar, segments, next, patternsInTrie, names);
+      }
+    }
+  }
+}
+
+class EventEmitter {
+  // - captureRejections: a promise returned by a listener that rejects is
+  //   routed to the 'error' event (or to this[EventEmitter.captureRejectionSymbol])
+  // - asyncMode: 'parallel' or 'serial', see emitAsync()
+  // - wildcard: event names are `delimiter`-separated segments, and on(),
+  //   once(), off(), listeners() etc. accept '*' / '**' patterns, e.g.
+  //   on('cart.*') hears 'cart.added'; on('**') hears everything. While a
+  //   listener runs, `this.event` is the name that was emitted.
+  constructor(options = {}) {
+    const {
+      captureRejections = EventEmitter.captureRejections,
+      asyncMode = 'parallel',
+      wildcard = false,
+      delimiter = '.'
+    } = options;
+    
+    if (typeof captureRejections !== 'boolean') {
+      throw new TypeError('captureRejections must be a boolean');
+    }
+    
+    if (!EMIT_ASYNC_MODES.includes(asyncMode)) {
+      throw new TypeError(`Unknown asyncMode "${asyncMode}", expected one of ${EMIT_ASYNC_MODES.join(', ')}`);
+    }
+    
+    if (typeof delimiter !== 'string' || delimiter === '') {
+      throw new TypeError('delimiter must be a non-empty string');
+    }
+    
+    this.events = new Map();        // Event name -> listeners, in call order
+    this.maxListeners = undefined;  // Unset: EventEmitter.defaultMaxListeners
+    this.captureRejections = captureRejections;
+    this.asyncMode = asyncMode;
+    this.trie = wildcard ? new EventTrie(delimiter) : null;
+  }
+  
+  // Resolves with the event's args the next time it's emitted. Rejects if
+  // the emitter emits 'error' first, or with an AbortError on `signal`.
+  static once(emitter, event, options = {}) {
+    const { signal } = options;
+    
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(createAbortError(signal));
+      }
+      
+      const cleanup = () => {
+        emitter.off(event, onEvent);
+        emitter.off('error', onError);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onEvent = (...args) => {
+        cleanup();
+        resolve(args);
+      };
+      const onError = error => {
+        cleanup();
+        reject(error);
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(createAbortError(signal));
+      };
+      
+      emitter.on(event, onEvent);
+      if (event !== 'error') {
+        emitter.on('error', onError);
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
+  // `for await (const args of EventEmitter.on(emitter, 'data'))`: every emit
+  // yields its args. Events that arrive while the loop body is busy are
+  // buffered, not lost. An 'error' event (or aborting `signal`) throws out of
+  // the loop once the buffer is drained; breaking out removes the listeners.
+  static on(emitter, event, options = {}) {
+    const { signal } = options;
+    
+    throwIfAborted(signal);
+    
+    const buffered = []; // Args of events nobody has asked for yet
+    const waiting = [];  // next() calls waiting for an event
+    let error = null;
+    let finished = false;
+    
+    const onEvent = (...args) => {
+      if (waiting.length > 0) {
+        waiting.shift().resolve({ value: args, done: false });
+      } else {
+        buffered.push(args);
+      }
+    };
+    const onError = err => {
+      if (waiting.length > 0) {
+        waiting.shift().reject(err);
+      } else {
+        error = err;
+      }
+      iterator.return();
+    };
+    const onAbort = () => onError(createAbortError(signal));
+    
+    const iterator = {
+      next() {
+        if (buffered.length > 0) {
+          return Promise.resolve({ value: buffered.shift(), done: false });
+        }
+        
+        if (error) {
+          const rejection = Promise.reject(error);
+          error = null;
+          return rejection;
+        }
+        
+        if (finished) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+      },
+      
+      return() {
+        finished = true;
+        emitter.off(event, onEvent);
+        emitter.off('error', onError);
+        signal?.removeEventListener('abort', onAbort);
+        waiting.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      
+      throw(err) {
+        onError(err);
+        return iterator.next();
+      },
+      
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+    
+    emitter.on(event, onEvent);
+    if (event !== 'error') {
+      emitter.on('error', onError);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    return iterator;
+  }
+  
+  on(event, listener) {
+    return this.addListenerTo(event, listener, false);
+  }
+  
+  prependListener(event, listener) {
+    return this.addListenerTo(event, listener, true);
+  }
+  
+  once(event, listener) {
+    return this.on(event, this.createOnceWrapper(event, listener));
+  }
+  
+  prependOnceListener(event, listener) {
+    return this.prependListener(event, this.createOnceWrapper(event, listener));
+  }
+  
+  // Removes the most recently added copy of `listener` only, like Node. In
+  // wildcard mode a pattern removes it from every event name it covers.
+  off(event, listener) {
+    checkListener(listener);
+    
+    this.coveredEvents(event).forEach(name => this.removeListenerFrom(name, listener));
+    return this;
+  }
+  
+  emit(event, ...args) {
+    // A copy: listeners added or removed during the emit don't change who
+    // gets this event
+    const listeners = this.matchingListeners(event);
+    
+    if (listeners.length === 0) {
+      if (event === 'error') {
+        throw this.createUnhandledError(args[0]);
+      }
+      return false;
+    }
+    
+    listeners.forEach(listener => {
+      const result = this.callListener(listener, event, args);
+      
+      if (this.captureRejections && result && typeof result.then === 'function') {
+        result.then(undefined, error => this.handleRejection(error, event, args));
+      }
+    });
+    
+    return true;
+  }
+  
+  // Like emit(), but waits for async listeners: resolves once every
+  // listener has settled ('parallel') or each has in turn ('serial'), and
+  // rejects with the first listener error. Resolves false if nobody listens.
+  async emitAsync(event, ...args) {
+    const listeners = this.matchingListeners(event);
+    
+    if (listeners.length === 0) {
+      if (event === 'error') {
+        throw this.createUnhandledError(args[0]);
+      }
+      return false;
+    }
+    
+    if (this.asyncMode === 'serial') {
+      for (const listener of listeners) {
+        await this.callListener(listener, event, args);
+      }
+    } else {
+      // A listener that throws synchronously doesn't stop the others
+      await Promise.all(listeners.map(listener => new Promise(resolve => {
+        resolve(this.callListener(listener, event, args));
+      })));
+    }
+    
+    return true;
+  }
+  
+  removeAllListeners(event) {
+    const notify = this.events.has('removeListener');
+    
+    if (event === undefined) {
+      if (notify) {
+        // Everything else first, so 'removeListener' listeners hear about it
+        [...this.events.keys()]
+          .filter(name => name !== 'removeListener')
+          .forEach(name => this.removeAllListenersFrom(name));
+        this.removeAllListenersFrom('removeListener');
+      } else {
+        this.events.clear();
+        this.trie?.clear();
+      }
+      return this;
+    }
+    
+    this.coveredEvents(event).forEach(name => this.removeAllListenersFrom(name));
+    return this;
+  }
+  
+  setMaxListeners(n) {
+    if (typeof n !== 'number') {
+      throw new TypeError('The "n" argument must be of type number');
+    }
+    
+    if (n < 0 || Number.isNaN(n)) {
+      throw new RangeError(`The value of "n" is out of range. It must be a non-negative number. Received ${String(n)}`);
+    }
+    
+    this.maxListeners = n;
+    return this;
+  }
+  
+  getMaxListeners() {
+    return this.maxListeners === undefined ? EventEmitter.defaultMaxListeners : this.maxListeners;
+  }
+  
+  // In Node's order, which is property-key order since it keeps listeners on
+  // an object: index-like names ascending, other strings, then Symbols
+  eventNames() {
+    const byKey = Object.fromEntries([...this.events.keys()].map(name => [name, name]));
+    return Reflect.ownKeys(byKey).map(key => byKey[key]);
+  }
+  
+  // Counts only copies of `listener` when it's given. Like listeners(), it
+  // counts every listener an emit of `event` would reach.
+  listenerCount(event, listener) {
+    const listeners = this.matchingListeners(event);
+    
+    if (listener === undefined) {
+      return listeners.length;
+    }
+    
+    return listeners.filter(candidate => candidate === listener || candidate.listener === listener).length;
+  }
+  
+  // The listeners as they were passed in (once() wrappers unwrapped)
+  listeners(event) {
+    return this.rawListeners(event).map(listener => listener.listener || listener);
+  }
+  
+  // Including once() wrappers: calling one runs the listener and removes it
+  rawListeners(event) {
+    return this.matchingListeners(event);
+  }
+  
+  // In wildcard mode, the event names whose listeners an emit of `event`
+  // reaches: wildcards count both in `event` and in the registered names.
+  // Symbols have no segments and only ever match themselves.
+  matchingEvents(event) {
+    if (this.trie && typeof event === 'string') {
+      return this.trie.match(event, true);
+    }
+    
+    return this.events.has(event) ? [event] : [];
+  }
+  
+  // The event names that `event` covers, for removal: wildcards count only
+  // in `event`, so off('cart.item', fn) leaves on('cart.*', fn) alone
+  coveredEvents(event) {
+    if (this.trie && typeof event === 'string') {
+      return this.trie.match(event, false);
+    }
+    
+    return this.events.has(event) ? [event] : [];
+  }
+  
+  matchingListeners(event) {
+    return this.matchingEvents(event).flatMap(name => this.events.get(name));
+  }
+  
+  callListener(listener, event, args) {
+    if (this.trie) {
+      this.event = event;
+    }
+    
+    return listener.apply(this, args);
+  }
+  
+  removeListenerFrom(name, listener) {
+    const listeners = this.events.get(name);
+    
+    if (!listeners) {
+      return;
+    }
+    
+    for (let index = listeners.length - 1; index >= 0; index--) {
+      const candidate = listeners[index];
+      
+      if (candidate === listener || candidate.listener === listener) {
+        listeners.splice(index, 1);
+        
+        if (listeners.length === 0) {
+          this.deleteEvent(name);
+        }
+        
+        if (this.events.has('removeListener')) {
+          this.emit('removeListener', name, candidate.listener || candidate);
+        }
+        return;
+      }
+    }
+  }
+  
+  removeAllListenersFrom(name) {
+    const listeners = this.events.get(name);
+    
+    if (listeners && this.events.has('removeListener')) {
+      // Last added first, as Node does
+      for (let index = listeners.length - 1; index >= 0; index--) {
+        this.removeListenerFrom(name, listeners[index]);
+      }
+    } else {
+      this.deleteEvent(name);
+    }
+  }
+  
+  deleteEvent(name) {
+    this.events.delete(name);
+    
+    if (this.trie && typeof name === 'string') {
+      this.trie.remove(name);
+    }
+  }
+  
+  addListenerTo(event, listener, prepend) {
+    checkListener(listener);
+    
+    // Before adding, so a 'newListener' listener can prepend ahead of it
+    if (this.events.has('newListener')) {
+      this.emit('newListener', event, listener.listener || listener);
+    }
+    
+    if (!this.events.has(event)) {
+      this.events.set(event, []);
+      
+      if (this.trie && typeof event === 'string') {
+        this.trie.add(event);
+      }
+    }
+    
+    const listeners = this.events.get(event);
+    
+    if (prepend) {
+      listeners.unshift(listener);
+    } else {
+      listeners.push(listener);
+    }
+    
+    // Warn once per event when it looks like listeners are leaking
+    const max = this.getMaxListeners();
+    
+    if (max > 0 && listeners.length > max && !listeners.warned) {
+      listeners.warned = true;
+      
+      const warning = new Error(
+        `Possible EventEmitter memory leak detected. ${listeners.length} ${String(event)} listeners ` +
+        `added to [${this.constructor.name}]. MaxListeners is ${max}. Use emitter.setMaxListeners() to increase limit`
+      );
+      warning.name = 'MaxListenersExceededWarning';
+      warning.emitter = this;
+      warning.type = event;
+      warning.count = listeners.length;
+      emitWarning(warning);
+    }
+    
+    return this;
+  }
+  
+  // Removes itself before calling `listener`, so it runs at most once even
+  // if the listener emits the same event again
+  createOnceWrapper(event, listener) {
+    checkListener(listener);
+    
+    const emitter = this;
+    let fired = false;
+    
+    function onceWrapper(...args) {
+      if (fired) {
+        return undefined;
+      }
+      
+      fired = true;
+      emitter.off(event, onceWrapper);
+      return listener.apply(emitter, args);
+    }
+    
+    onceWrapper.listener = listener;
+    return onceWrapper;
+  }
+  
+  // captureRejections: a listener's promise rejected
+  handleRejection(error, event, args) {
+    const handler = this[EventEmitter.captureRejectionSymbol];
+    
+    if (typeof handler === 'function') {
+      handler.call(this, error, event, ...args);
+      return;
+    }
+    
+    // With capturing off, an async 'error' listener that rejects can't loop.
+    // With no 'error' listener the emit throws: an unhandled rejection.
+    const captureRejections = this.captureRejections;
+    this.captureRejections = false;
+    
+    try {
+      this.emit('error', error);
+    } finally {
+      this.captureRejections = captureRejections;
+    }
+  }
+  
+  // An 'error' event nobody listens for: throw the error itself, or wrap
+  // whatever was emitted in one
+  createUnhandledError(error) {
+    if (error instanceof Error) {
+      return error;
+    }
+    
+    const unhandled = new Error(`Unhandled error. (${typeof error === 'string' ? `'${error}'` : String(error)})`);
+    unhandled.code = 'ERR_UNHANDLED_ERROR';
+    unhandled.context = error;
+    return unhandled;
+  }
+}
+
+EventEmitter.defaultMaxListeners = 10;
+// Default for the captureRejections option
+EventEmitter.captureRejections = false;
+// Define this method on an emitter to handle captured rejections yourself
+EventEmitter.captureRejectionSymbol = Symbol.for('nodejs.rejection');
+
+// Node's aliases
+EventEmitter.prototype.addListener = EventEmitter.prototype.on;
+EventEmitter.prototype.removeListener = EventEmitter.prototype.off;
+
+module.exports = {
+  EventEmitter
+};
@@ -0,0 +1,93 @@
+// Array polyfills: node polyfills/examples/array.js
+const { installPolyfills, flattenArray } = require('..');
+
+installPolyfills();
+
+// Array.prototype.map()
+console.log([1, 2, 3].myMap(x => x * 2)); // [2, 4, 6]
+console.log([1, , 3].myMap(x => x * 2)); // [2, <1 empty item>, 6]
+
+(function() {
+  // Works on any array-like
+  console.log(Array.prototype.myMap.call(arguments, x => x.toUpperCase())); // ['A', 'B']
+})('a', 'b');
+
+// Array.prototype.reduce()
+console.log([1, 2, 3, 4].myReduce((acc, val) => acc + val, 0)); // 10
+
+// Array.prototype.filter()
+console.log([1, 2, 3, 4, 5].myFilter(x => x > 2)); // [3, 4, 5]
+
+// Array.prototype.forEach()
+[1, 2, 3].myForEach((val, idx) => console.log(`${idx}: ${val}`));
+
+// Array.prototype.find()
+console.log([1, 2, 3, 4].myFind(x => x > 2)); // 3
+console.log([1, , 3].myFind(x => x === undefined)); // undefined (the hole was visited)
+
+// Array.prototype.some() / every()
+console.log([1, 2, 3].mySome(x => x > 2)); // true
+console.log([1, 2, 3].myEvery(x => x > 2)); // false
+console.log([].myEvery(x => false)); // true (vacuous truth)
+
+// Array.prototype.reduceRight()
+console.log(['a', 'b', 'c'].myReduceRight((acc, val) => acc + val)); // 'cba'
+
+// Array.prototype.findIndex() / findLast() / findLastIndex()
+console.log([5, 12, 8, 130].myFindIndex(x => x > 10)); // 1
+console.log([5, 12, 8, 130].myFindLast(x => x > 10)); // 130
+console.log([5, 12, 8, 130].myFindLastIndex(x => x > 200)); // -1
+
+// Array.prototype.flatMap()
+console.log(['a b', 'c'].myFlatMap(str => str.split(' '))); // ['a', 'b', 'c']
+console.log([1, 2].myFlatMap(x => [[x]])); // [[1], [2]] - only one level
+
+// Array.prototype.includes()
+console.log([1, 2, NaN].myIncludes(NaN)); // true (indexOf returns -1)
+console.log([1, , 3].myIncludes(undefined)); // true (holes read as undefined)
+console.log([1, 2, 3].myIncludes(1, -2)); // false
+
+// Array.prototype.at()
+console.log([1, 2, 3].myAt(-1)); // 3
+
+// Array.prototype.fill() / copyWithin()
+console.log(new Array(3).myFill(0)); // [0, 0, 0]
+console.log([1, 2, 3, 4, 5].myFill(0, 1, -1)); // [1, 0, 0, 0, 5]
+console.log([1, 2, 3, 4, 5].myCopyWithin(0, 3)); // [4, 5, 3, 4, 5]
+
+// Array.from()
+console.log(Array.myFrom('abc')); // ['a', 'b', 'c']
+console.log(Array.myFrom(new Set([1, 1, 2]))); // [1, 2]
+console.log(Array.myFrom({ length: 3 }, (_, i) => i * 2)); // [0, 2, 4]
+
+// Array.of()
+console.log(Array.myOf(3)); // [3]
+console.log(Array.myOf(1, 2, 3)); // [1, 2, 3]
+
+// ES2023 change-by-copy: toSorted(), toReversed(), toSpliced(), with()
+const scores = [30, 10, 20];
+console.log(scores.myToSorted((a, b) => a - b)); // [10, 20, 30]
+console.log(scores.myToReversed()); // [20, 10, 30]
+console.log(scores.myToSpliced(1, 1, 15, 16)); // [30, 15, 16, 20]
+console.log(scores.myWith(-1, 25)); // [30, 10, 25]
+console.log(scores); // [30, 10, 20] - untouched
+
+// Object.groupBy() / Map.groupBy()
+const inventory = [
+  { name: 'asparagus', type: 'vegetables', quantity: 5 },
+  { name: 'bananas', type: 'fruit', quantity: 0 },
+  { name: 'cherries', type: 'fruit', quantity: 5 }
+];
+
+console.log(Object.myGroupBy(inventory, ({ type }) => type));
+// { vegetables: [asparagus], fruit: [bananas, cherries] }
+
+const restock = { restock: true };
+const sufficient = { restock: false };
+console.log(Map.myGroupBy(inventory, ({ quantity }) => quantity < 5 ? restock : sufficient).get(restock));
+// [bananas]
+
+// Flatten array (deeply nested arrays) / Array.prototype.flat()
+const nestedArray = [1, [2, [3, [4, 5]]]];
+console.log(flattenArray(nestedArray)); // [1, 2, 3, 4, 5]
+console.log(nestedArray.myFlat(2)); // [1, 2, 3, [4, 5]]
@@ -0,0 +1,79 @@
+// Concurrency limits: node polyfills/examples/async-control.js
+const {
+  mapLimit,
+  mapLimitIterable,
+  parallelLimitWithProgress,
+  TaskPool,
+  abortableDelay
+} = require('..');
+
+// Stand-in for `fetch(url).then(r => r.json())`, so the example runs offline
+function request(url, signal) {
+  return abortableDelay(100 + Math.random() * 200, signal).then(() => ({ url }));
+}
+
+// Map limit
+const urls = ['url1', 'url2', 'url3', 'url4', 'url5'];
+mapLimit(urls, 2, async (url, index, signal) => {
+  return request(url, signal);
+}, { signal: AbortSignal.timeout(10000) }).then(console.log);
+
+// Failure modes
+const checkUrl = async (url, index, signal) => {
+  if (url.endsWith('3')) throw new Error(`${url} is down`);
+  return request(url, signal);
+};
+
+mapLimit(urls, 2, checkUrl) // failFast: rejects at url3, aborts url4/url5
+  .catch(error => console.log('failFast:', error.message));
+
+mapLimit(urls, 2, checkUrl, { mode: 'settle' })
+  .then(results => console.log('settle:', results.map(result => result.status)));
+// ['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled']
+
+mapLimit(urls, 2, checkUrl, { mode: 'collect' })
+  .catch(error => console.log('collect:', error.message)); // '1 of 5 calls failed'
+
+// Streaming: results arrive as they complete, and the (lazy) source is only
+// read as fast as the loop consumes results
+function* manyUrls() {
+  for (let page = 1; page <= 1000; page++) {
+    yield `/items?page=${page}`;
+  }
+}
+
+(async () => {
+  const fetchPage = (url, index, signal) => request(url, signal);
+  
+  for await (const { url } of mapLimitIterable(manyUrls(), 4, fetchPage)) {
+    console.log('streamed', url);
+    if (url.endsWith('=6')) break; // Aborts the in-flight requests, closes the source
+  }
+})();
+
+// Parallel limit with progress tracking
+const tasks = [
+  () => request('/api/1'),
+  () => request('/api/2'),
+  () => request('/api/3'),
+  () => request('/api/4'),
+];
+
+parallelLimitWithProgress(tasks, 2, (completed, total) => {
+  console.log(`Progress: ${completed}/${total}`);
+}).then(console.log);
+
+// Task pool: tasks arrive over time, highest priority first
+const pool = new TaskPool({ concurrency: 2, timeout: 1000 });
+
+pool.add(signal => request('/reports/daily', signal)).then(console.log);
+pool.add(signal => request('/reports/weekly', signal)).then(console.log);
+pool.add(signal => request('/prefetch', signal), { priority: -1 }).then(console.log);
+pool.add(signal => request('/user', signal), { priority: 10 }).then(console.log);
+// /user runs before /prefetch as soon as a slot frees up
+
+pool.add(signal => abortableDelay(5000, signal))
+  .catch(error => console.log(error.name)); // 'TimeoutError' after 1s
+
+pool.setConcurrency(4); // Takes effect immediately
+pool.onIdle().then(() => console.log('Pool idle'));
@@ -0,0 +1,15 @@
+// Memoization: node polyfills/examples/cache.js
+const { memoize } = require('..');
+
+// Basic memoization
+const expensiveFunction = (n) => {
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    sum += i;
+  }
+  return sum;
+};
+
+const memoized = memoize(expensiveFunction);
+console.log(memoized(1000000)); // Computing...
+console.log(memoized(1000000)); // Cache hit
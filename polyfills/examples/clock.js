@@ -0,0 +1,32 @@
+// Fake clock for testing timers: node polyfills/examples/clock.js
+const { FakeClock, debounce, mySetIntervalAdvanced, retryWithBackoff } = require('..');
+
+const clock = new FakeClock({ now: new Date('2026-01-01T00:00:00Z') });
+
+// Debounce without waiting
+const save = debounce(text => console.log('Saved', text), 500, { clock });
+save('H');
+save('Hi');
+clock.tick(499); // Nothing yet
+clock.tick(1);   // Saved Hi
+
+// The interval functions take { delay, clock } in place of the delay
+const poll = mySetIntervalAdvanced(() => console.log('Poll at', clock.now()), { delay: 1000, clock });
+clock.tick(2000); // Poll at 1767225601500, Poll at 1767225602500
+poll.clear();
+
+// Promise-based code needs the Async versions, so awaits run between timers
+async function main() {
+  let attempts = 0;
+  const result = retryWithBackoff(async () => {
+    if (++attempts < 3) throw new Error('Network error');
+    return 'data';
+  }, { initialDelay: 1000, clock });
+  
+  const start = clock.now();
+  await clock.runAllAsync();
+  // Result: data after 3000ms of fake time
+  console.log('Result:', await result, `after ${clock.now() - start}ms of fake time`);
+}
+
+main();
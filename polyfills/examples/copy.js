@@ -0,0 +1,16 @@
+// Deep vs shallow copy: node polyfills/examples/copy.js
+const { deepCopy } = require('..');
+
+// Deep copy
+const original = {
+  name: 'John',
+  nested: { age: 30 },
+  arr: [1, 2, { value: 3 }],
+  date: new Date(),
+  regex: /test/gi,
+  func: () => console.log('hi')
+};
+
+const deepCopied = deepCopy(original);
+deepCopied.nested.age = 40;
+console.log(original.nested.age); // 30 (unchanged)
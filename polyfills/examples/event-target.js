@@ -0,0 +1,42 @@
+// EventTarget, Event and CustomEvent: node polyfills/examples/event-target.js
+const { MyEventTarget, MyEvent, MyCustomEvent, EventEmitter, eventTargetFromEmitter } = require('..');
+
+const target = new MyEventTarget();
+target.addEventListener('greet', (event) => console.log('Hello,', event.detail));
+target.dispatchEvent(new MyCustomEvent('greet', { detail: 'world' })); // Hello, world
+
+// Capturing listeners run first; once listeners are removed after one call
+target.addEventListener('ping', () => console.log('bubble'));
+target.addEventListener('ping', () => console.log('capture'), { capture: true });
+target.addEventListener('ping', () => console.log('once'), { once: true });
+target.dispatchEvent(new MyEvent('ping')); // capture, bubble, once
+target.dispatchEvent(new MyEvent('ping')); // capture, bubble
+
+// preventDefault() on a cancelable event makes dispatchEvent() return false,
+// except from a passive listener
+target.addEventListener('submit', (event) => event.preventDefault(), { passive: true });
+console.log(target.dispatchEvent(new MyEvent('submit', { cancelable: true }))); // true
+target.addEventListener('submit', (event) => event.preventDefault());
+console.log(target.dispatchEvent(new MyEvent('submit', { cancelable: true }))); // false
+
+// stopImmediatePropagation() skips the remaining listeners
+target.addEventListener('close', (event) => event.stopImmediatePropagation());
+target.addEventListener('close', () => console.log('never runs'));
+target.dispatchEvent(new MyEvent('close'));
+
+// Objects with handleEvent, removed with an AbortSignal
+const controller = new AbortController();
+const handler = { count: 0, handleEvent() { this.count++; } };
+target.addEventListener('tick', handler, { signal: controller.signal });
+target.dispatchEvent(new MyEvent('tick'));
+controller.abort();
+target.dispatchEvent(new MyEvent('tick'));
+console.log(handler.count); // 1
+
+// Both APIs over the same listeners
+const emitter = new EventEmitter();
+const view = eventTargetFromEmitter(emitter);
+view.addEventListener('data', (event) => console.log('DOM listener:', event.detail));
+emitter.on('data', (payload) => console.log('Emitter listener:', payload instanceof MyEvent ? payload.type : payload));
+emitter.emit('data', 42); // DOM listener: 42, Emitter listener: 42
+view.dispatchEvent(new MyCustomEvent('data', { detail: 7 })); // DOM listener: 7, Emitter listener: data
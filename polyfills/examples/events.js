@@ -0,0 +1,80 @@
+// Event emitter: node polyfills/examples/events.js
+const { EventEmitter } = require('..');
+
+const emitter = new EventEmitter();
+emitter.on('data', (data) => console.log('Data:', data));
+emitter.emit('data', { message: 'Hello' });
+
+// Order: prepended listeners run first, once() listeners only once
+emitter.prependListener('data', () => console.log('First'));
+emitter.once('data', () => console.log('Only once'));
+emitter.emit('data', 1); // First, Data: 1, Only once
+emitter.emit('data', 2); // First, Data: 2
+
+// off() removes the most recently added copy only
+const log = () => console.log('log');
+emitter.on('tick', log);
+emitter.on('tick', log);
+emitter.off('tick', log);
+console.log(emitter.listenerCount('tick')); // 1
+
+// Meta-events and Symbol names
+const ready = Symbol('ready');
+emitter.on('newListener', (event) => console.log('Adding', String(event)));
+emitter.on(ready, () => {});
+console.log(emitter.eventNames()); // [ 'data', 'tick', 'newListener', Symbol(ready) ]
+
+// An 'error' event nobody listens for throws
+try {
+  emitter.emit('error', new Error('Disk full'));
+} catch (error) {
+  console.log('Unhandled:', error.message); // Unhandled: Disk full
+}
+
+// Wildcard mode: '*' is one segment, '**' any number
+const bus = new EventEmitter({ wildcard: true });
+bus.on('cart.*', function(item) {
+  console.log(this.event, item); // cart.added Book
+});
+bus.on('**', () => console.log('Audit log'));
+bus.emit('cart.added', 'Book');
+bus.emit('user.login');                        // Audit log
+console.log(bus.listenerCount('cart.removed')); // 2
+
+// Any delimiter works
+const ui = new EventEmitter({ wildcard: true, delimiter: ':' });
+ui.once('user:*', (name) => console.log('Welcome', name));
+ui.emit('user:login', 'Ada'); // Welcome Ada
+
+// emitAsync waits for async listeners (in parallel by default)
+const jobs = new EventEmitter({ asyncMode: 'serial' });
+jobs.on('deploy', async (version) => console.log('Building', version));
+jobs.on('deploy', async (version) => console.log('Uploading', version));
+
+// captureRejections: a rejected listener promise becomes an 'error' event
+const worker = new EventEmitter({ captureRejections: true });
+worker.on('error', (error) => console.log('Captured:', error.message));
+worker.on('task', async () => {
+  throw new Error('Task failed');
+});
+
+async function main() {
+  await jobs.emitAsync('deploy', 'v2'); // Building v2, then Uploading v2
+  
+  worker.emit('task'); // Captured: Task failed
+  
+  // Wait for one event as a promise
+  const server = new EventEmitter();
+  setTimeout(() => server.emit('listening', 8080), 10);
+  const [port] = await EventEmitter.once(server, 'listening');
+  console.log('Listening on', port);
+  
+  // Consume events as an async iterator; emits during the loop are buffered
+  setTimeout(() => ['a', 'b', 'done'].forEach(chunk => server.emit('chunk', chunk)), 10);
+  for await (const [chunk] of EventEmitter.on(server, 'chunk')) {
+    if (chunk === 'done') break; // Removes the listeners
+    console.log('Chunk', chunk);
+  }
+}
+
+main();
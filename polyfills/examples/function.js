@@ -0,0 +1,38 @@
+// Function polyfills: node polyfills/examples/function.js
+const { installPolyfills } = require('..');
+
+installPolyfills();
+
+// Function.prototype.call()
+function greet(greeting, punctuation) {
+  return `${greeting}, ${this.name}${punctuation}`;
+}
+const person = { name: 'John' };
+console.log(greet.myCall(person, 'Hello', '!')); // "Hello, John!"
+
+// Function.prototype.apply()
+console.log(greet.myApply(person, ['Hi', '!!'])); // "Hi, John!!"
+
+// Function.prototype.bind()
+const boundGreet = greet.myBind(person, 'Hey');
+console.log(boundGreet('?')); // "Hey, John?"
+console.log(boundGreet.name, boundGreet.length); // "bound greet" 1
+
+// Primitive `this` is boxed for sloppy functions and passed as-is to strict ones
+function sloppyType() { return typeof this; }
+function strictType() { 'use strict'; return typeof this; }
+console.log(sloppyType.myCall('text'), strictType.myCall('text')); // "object" "string"
+
+// Any array-like works as the arguments list
+console.log(Math.max.myApply(null, { length: 3, 0: 4, 1: 9, 2: 2 })); // 9
+
+// Bound constructors and classes
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+}
+const PointOnYAxis = Point.myBind(null, 0);
+const point = new PointOnYAxis(5);
+console.log(point, point instanceof Point, point instanceof PointOnYAxis); // Point { x: 0, y: 5 } true true
@@ -0,0 +1,22 @@
+// Flatten / unflatten objects: node polyfills/examples/object.js
+const { flattenObject, unflattenObject } = require('..');
+
+// Flatten object to single level with dot notation
+const nested = {
+  a: 1,
+  b: {
+    c: 2,
+    d: {
+      e: 3,
+      f: {
+        g: 4
+      }
+    }
+  }
+};
+
+console.log(flattenObject(nested));
+// { 'a': 1, 'b.c': 2, 'b.d.e': 3, 'b.d.f.g': 4 }
+
+// Unflatten (reverse operation)
+console.log(unflattenObject(flattenObject(nested)).b.d.f); // { g: 4 }
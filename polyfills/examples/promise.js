@@ -0,0 +1,134 @@
+// Promise polyfills: node polyfills/examples/promise.js
+const { installPolyfills, MyPromise, abortableDelay } = require('..');
+
+installPolyfills();
+
+// Basic Promise Implementation
+// Foreign thenables (e.g. from another promise library) are assimilated
+new MyPromise(resolve => resolve({ then: (onFulfilled) => onFulfilled(42) }))
+  .then(value => console.log(value)); // 42
+
+// Reactions are microtasks, so MyPromise and Promise chains interleave
+Promise.resolve().then(() => console.log('native 1')).then(() => console.log('native 2'));
+MyPromise.resolve().then(() => console.log('my 1')).then(() => console.log('my 2'));
+setTimeout(() => console.log('timeout'), 0);
+// native 1, my 1, native 2, my 2, timeout
+
+// Deterministic tests: run reactions synchronously, then restore the default
+const previousScheduler = MyPromise.setScheduler(callback => callback());
+MyPromise.resolve('sync').then(value => console.log(value)); // logs immediately
+MyPromise.setScheduler(previousScheduler);
+
+// Unhandled rejections are reported instead of disappearing silently
+MyPromise.onUnhandledRejection = (reason, promise) => {
+  console.log('Unhandled:', reason);
+};
+MyPromise.onRejectionHandled = (promise) => {
+  console.log('Handled late:', promise.reason);
+};
+
+const forgotten = MyPromise.reject('oops'); // Unhandled: oops (after this task)
+setTimeout(() => forgotten.catch(() => {}), 100); // Handled late: oops
+
+MyPromise.reject('caught').catch(() => {}); // not reported - handled in the same tick
+
+// Combinators accept any iterable and return MyPromise instances
+MyPromise.all(new Set([1, MyPromise.resolve(2), Promise.resolve(3)]))
+  .then(console.log); // [1, 2, 3]
+
+MyPromise.allSettled((function* () {
+  yield MyPromise.resolve('ok');
+  yield MyPromise.reject('nope');
+})()).then(console.log);
+// [{ status: 'fulfilled', value: 'ok' }, { status: 'rejected', reason: 'nope' }]
+
+MyPromise.any([MyPromise.reject('a'), MyPromise.reject('b')])
+  .catch(error => console.log(error instanceof AggregateError, error.errors)); // true ['a', 'b']
+
+MyPromise.race(new Map([['slow', 500], ['fast', 100]]).entries())
+  .then(console.log); // ['slow', 500] - plain values resolve immediately, first one wins
+
+const { promise: deferred, resolve: resolveDeferred } = MyPromise.withResolvers();
+deferred.then(console.log); // 'resolved from outside'
+resolveDeferred('resolved from outside');
+
+MyPromise.try(() => JSON.parse('{ invalid'))
+  .catch(error => console.log(error.name)); // 'SyntaxError'
+
+// Promise.all()
+Promise.myAll([
+  Promise.resolve(1),
+  Promise.resolve(2),
+  Promise.resolve(3)
+]).then(console.log); // [1, 2, 3]
+
+Promise.myAll(new Set([1, Promise.resolve(2)])).then(console.log); // [1, 2]
+
+// Promise.race()
+Promise.myRace([
+  new Promise(resolve => setTimeout(() => resolve('fast'), 100)),
+  new Promise(resolve => setTimeout(() => resolve('slow'), 500))
+]).then(console.log); // "fast"
+
+// Promise.allSettled()
+Promise.myAllSettled([
+  Promise.resolve(1),
+  Promise.reject('error'),
+  Promise.resolve(3)
+]).then(console.log);
+// [
+//   { status: 'fulfilled', value: 1 },
+//   { status: 'rejected', reason: 'error' },
+//   { status: 'fulfilled', value: 3 }
+// ]
+
+// Promise.any()
+Promise.myAny([
+  Promise.reject('error1'),
+  Promise.resolve('success'),
+  Promise.reject('error2')
+]).then(console.log); // "success"
+
+Promise.myAny((function* () {
+  yield Promise.reject('error1');
+  throw new Error('iterator failed');
+})()).catch(error => console.log(error.message)); // "iterator failed"
+
+// Cancellation with AbortSignal
+const cancelController = new AbortController();
+
+const cancellable = new MyPromise(resolve => setTimeout(resolve, 1000, 'done'), {
+  signal: cancelController.signal
+});
+
+cancellable
+  .then(value => console.log('never runs', value))
+  .catch(error => console.log(error.name)); // 'AbortError'
+
+cancelController.abort();
+
+abortableDelay(5000, AbortSignal.timeout(100))
+  .catch(error => console.log(error.name)); // 'TimeoutError'
+
+// Async iterable combinators
+async function* pages() {
+  for (let page = 1; page <= 3; page++) {
+    yield new Promise(resolve => setTimeout(resolve, 50, `page ${page}`));
+  }
+}
+
+Promise.allAsync(pages()).then(console.log); // ['page 1', 'page 2', 'page 3']
+Promise.raceAsync(pages()).then(console.log); // 'page 1' - pages 2 and 3 are never requested
+
+// Promise.prototype.finally()
+Promise.resolve(42)
+  .myFinally(() => {
+    console.log('Cleanup');
+  })
+  .then(value => console.log(value)); // 42
+
+Promise.reject('error')
+  .myFinally(() => {
+    console.log('Cleanup even on error');
+  })
+  .catch(err => console.log(err)); // 'error'
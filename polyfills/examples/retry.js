@@ -0,0 +1,59 @@
+// Retry mechanism: node polyfills/examples/retry.js
+const {
+  retry,
+  retryWithBackoff,
+  retryWithCondition,
+  retryAdvanced,
+  abortableDelay
+} = require('..');
+
+// Stand-in for fetch('https://api.example.com/data'), so the example runs
+// offline: the first `failures` requests fail, then it succeeds
+function createFetchData(failures) {
+  let attempts = 0;
+  
+  return async function fetchData(signal) {
+    await abortableDelay(100, signal);
+    if (++attempts <= failures) throw new Error('Failed to fetch');
+    return { attempts };
+  };
+}
+
+// Basic retry
+retry(createFetchData(2), 3, 200)
+  .then(data => console.log('Success:', data))
+  .catch(err => console.error('Failed:', err));
+
+// Retry with exponential backoff
+retryWithBackoff(createFetchData(2), {
+  maxAttempts: 5,
+  initialDelay: 100,
+  backoffFactor: 2,
+  onRetry: (attempt, error, delay) => {
+    console.log(`Attempt ${attempt} failed: ${error.message}`);
+    console.log(`Retrying in ${delay}ms...`);
+  }
+});
+
+// Retry only on network errors
+retryWithCondition(createFetchData(1), {
+  maxAttempts: 3,
+  shouldRetry: (error) => {
+    // Only retry on network errors, not 4xx errors
+    return !error.message.includes('404') && !error.message.includes('400');
+  }
+});
+
+// Advanced retry with abort
+const controller = new AbortController();
+retryAdvanced(createFetchData(Infinity), {
+  maxAttempts: 5,
+  timeout: 5000,
+  signal: controller.signal,
+  onRetry: (attempt, error, delay) => {
+    console.log(`Retry attempt ${attempt} after ${delay}ms`);
+  }
+}).catch(err => console.log('Gave up:', err.name));
+
+// Abort after 2 seconds
+setTimeout(() => controller.abort(), 2000);
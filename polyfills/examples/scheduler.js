@@ -0,0 +1,41 @@
+// Cron scheduler: node polyfills/examples/scheduler.js
+const { Scheduler } = require('..');
+
+const scheduler = new Scheduler({ timeZone: 'America/New_York' });
+
+// Every weekday at 09:00 New York time
+const standup = scheduler.schedule('0 9 * * MON-FRI', () => {
+  console.log('Stand-up reminder');
+});
+console.log('Next stand-up:', standup.nextRun().toISOString());
+
+// Same job in another time zone
+const report = scheduler.schedule('30 17 * * FRI', () => {
+  console.log('Weekly report');
+}, { timeZone: 'Europe/London' });
+console.log('Next report:', report.nextRun().toISOString());
+
+// 6 fields: every second, stopping after 3 runs
+scheduler.schedule('* * * * * *', scheduledTime => {
+  console.log('Heartbeat for', scheduledTime.toISOString());
+}, { maxRuns: 3 });
+
+// A job that throws keeps its schedule; the error goes to onError
+scheduler.schedule('* * * * * *', () => {
+  throw new Error('Backup failed');
+}, { maxRuns: 2, onError: error => console.log('Job failed:', error.message) });
+
+// One-shot job at a Date
+const reminder = scheduler.schedule(new Date(Date.now() + 1500), () => {
+  console.log('One-shot reminder');
+});
+
+// Handles pause and resume like mySetIntervalAdvanced
+reminder.pause();
+setTimeout(() => reminder.resume(), 2000); // Runs as soon as it resumes
+
+// The cron jobs would run forever; clear everything once the demo is done
+setTimeout(() => {
+  scheduler.clear();
+  console.log('Jobs left:', scheduler.size()); // Jobs left: 0
+}, 4000);
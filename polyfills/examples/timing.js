@@ -0,0 +1,118 @@
+// Debounce, throttle, frame/idle scheduling and setInterval: node polyfills/examples/timing.js
+const {
+  debounce,
+  debounceAsync,
+  throttle,
+  throttleAsync,
+  rafThrottle,
+  idleDebounce,
+  RateLimiter,
+  rateLimit,
+  mySetIntervalAdvanced,
+  mySetIntervalFixedRate
+} = require('..');
+
+// Debounce
+const debouncedSearch = debounce((query) => {
+  console.log('Searching:', query);
+}, 500);
+
+debouncedSearch('j');
+debouncedSearch('ja');
+debouncedSearch('jav'); // Searching: jav (once, 500ms after the last keystroke)
+
+// Promise-returning debounce for a type-ahead: stale keystrokes reject, the
+// last one resolves with its results
+const searchUsers = debounceAsync(async query => [`${query}@example.com`], 300, {
+  superseded: 'reject'
+});
+
+['a', 'ad', 'ada'].forEach(query => {
+  searchUsers(query)
+    .then(results => console.log('Results for', query, results)) // Only 'ada'
+    .catch(error => console.log('Skipped', query, error.name));  // 'a', 'ad'
+});
+
+// Frame-aligned throttle for scroll/resize handlers (setTimeout shim in Node)
+const throttledScroll = rafThrottle(scrollY => {
+  console.log('Scroll frame at', scrollY);
+});
+
+// Simulated scroll events every 4ms for 100ms
+let scrollY = 0;
+const scrolling = setInterval(() => throttledScroll(scrollY += 10), 4);
+setTimeout(() => {
+  clearInterval(scrolling);
+  throttledScroll.cancel();
+}, 100); // One 'Scroll frame' per frame, with the latest position
+
+// Idle-time work: batch analytics until the main thread is free
+const pendingEvents = [];
+const sendAnalytics = idleDebounce(() => {
+  console.log('Sending', pendingEvents.splice(0).join(', '));
+}, { timeout: 2000 });
+['click', 'scroll', 'click'].forEach(event => {
+  pendingEvents.push(event);
+  sendAnalytics(); // Sending click, scroll, click
+});
+
+// The trailing call gets the latest arguments; flush() runs it right away
+const trackPosition = throttle(y => {
+  console.log('Position', y);
+  return y;
+}, 1000);
+trackPosition(0);                 // Position 0 (leading edge)
+trackPosition(120);
+trackPosition(480);
+console.log(trackPosition.pending()); // true
+trackPosition.flush();            // Position 480
+
+// Promise-returning throttle: every call learns the result it was folded into
+const saveDraft = throttleAsync(text => `saved ${text.length} chars`, 1000);
+saveDraft('H').then(console.log);     // saved 1 chars (leading edge)
+saveDraft('He').then(console.log);    // saved 3 chars (trailing edge, 1s later)
+saveDraft('Hey').then(console.log);   // saved 3 chars
+
+// Rate limiting: calls wait their turn instead of being dropped
+const limiter = new RateLimiter({ tokensPerInterval: 2, interval: 1000 });
+
+console.log(limiter.tryAcquire(), limiter.tryAcquire(), limiter.tryAcquire()); // true true false
+limiter.acquire().then(() => console.log('Acquired after ~500ms (token bucket refill)'));
+
+const callApi = rateLimit(endpoint => `${endpoint} ok`, {
+  tokensPerInterval: 3,
+  interval: 1000,
+  strategy: 'slidingWindow',
+  key: endpoint => endpoint // A separate limit per endpoint
+});
+
+['/users', '/users', '/users', '/users', '/orders'].forEach(endpoint => {
+  callApi(endpoint).then(console.log); // The 4th /users call runs 1s later
+});
+
+// setInterval polyfill using setTimeout
+const interval = mySetIntervalAdvanced(() => {
+  console.log('Tick');
+}, 1000);
+
+setTimeout(() => interval.pause(), 1500);  // After one Tick, with 500ms left
+setTimeout(() => interval.resume(), 3000); // Next Tick at 3500ms
+setTimeout(() => {
+  interval.clear();
+  console.log('Ticks:', interval.count()); // Ticks: 2
+}, 4200);
+
+// Fixed-rate interval: a 30ms callback doesn't push later ticks back
+const poll = mySetIntervalFixedRate(() => {
+  const end = Date.now() + 30;
+  while (Date.now() < end); // Busy work
+}, 100, {
+  missed: 'skip',
+  // A throwing callback is reported here and the interval keeps going
+  onError: error => console.log('Poll failed:', error.message)
+});
+
+setTimeout(() => {
+  poll.clear();
+  console.log('Polls:', poll.count(), 'max drift under 5ms:', poll.drift().max < 5); // Polls: 5 ... true
+}, 550);
@@ -0,0 +1,159 @@
+// ============================================
+// FUNCTION METHODS POLYFILLS
+// ============================================
+
+const { definePolyfill } = require('./installer');
+const { toIntegerOrInfinity, toLength, isConstructor } = require('./spec');
+
+// 0. Spec helpers
+// Call `fn` with `thisArg` as its `this` by turning the call into a method
+// call: attach `fn` under a fresh Symbol key (so no existing property can be
+// clobbered) and call it through that key. The engine then handles `this`
+// exactly like Function.prototype.call - strict functions see the value
+// as-is, sloppy ones get primitives boxed.
+function callFunction(fn, thisArg, args) {
+  if (thisArg === undefined || thisArg === null) {
+    // A method call can't pass these through: sloppy functions get
+    // globalThis, strict ones see `null` or `undefined` as given
+    return Reflect.apply(fn, thisArg, args);
+  }
+  
+  // Primitives can't hold properties, so the key goes on their prototype
+  // (String.prototype, ...) - a method call on a primitive still passes the
+  // primitive itself. Frozen objects get it on the first extensible prototype.
+  let holder = typeof thisArg === 'object' || typeof thisArg === 'function'
+    ? thisArg
+    : Object.getPrototypeOf(Object(thisArg));
+  
+  while (holder !== null && !Object.isExtensible(holder)) {
+    holder = Object.getPrototypeOf(holder);
+  }
+  
+  if (holder === null) {
+    // Nowhere to attach the key, e.g. a frozen null-prototype object
+    return Reflect.apply(fn, thisArg, args);
+  }
+  
+  const key = Symbol('fn');
+  Object.defineProperty(holder, key, { value: fn, configurable: true });
+  
+  try {
+    return thisArg[key](...args);
+  } finally {
+    delete holder[key];
+  }
+}
+
+// CreateListFromArrayLike: any object with a length works (arguments,
+// NodeLists, { length: 2, 0: 'a', 1: 'b' }), primitives throw
+function createListFromArrayLike(obj) {
+  if (obj === null || (typeof obj !== 'object' && typeof obj !== 'function')) {
+    throw new TypeError('CreateListFromArrayLike called on non-object');
+  }
+  
+  const len = toLength(obj.length);
+  const list = [];
+  
+  for (let index = 0; index < len; index++) {
+    list.push(obj[index]);
+  }
+  
+  return list;
+}
+
+// 1. Function.prototype.call()
+definePolyfill(Function.prototype, 'call', 1, function(context, ...args) {
+  if (typeof this !== 'function') {
+    throw new TypeError('Function.prototype.call called on a non-function');
+  }
+  
+  return callFunction(this, context, args);
+});
+
+// 2. Function.prototype.apply()
+definePolyfill(Function.prototype, 'apply', 2, function(context, argsArray) {
+  if (typeof this !== 'function') {
+    throw new TypeError('Function.prototype.apply called on a non-function');
+  }
+  
+  // null/undefined mean "no arguments"; anything else must be array-like
+  const args = argsArray === undefined || argsArray === null
+    ? []
+    : createListFromArrayLike(argsArray);
+  
+  return callFunction(this, context, args);
+});
+
+// 3. Function.prototype.bind()
+definePolyfill(Function.prototype, 'bind', 1, function(context, ...boundArgs) {
+  const target = this;
+  
+  if (typeof target !== 'function') {
+    throw new TypeError('Bind must be called on a function');
+  }
+  
+  let boundFunction;
+  
+  if (isConstructor(target)) {
+    // Strict, so it has no own `arguments`/`caller` properties (the
+    // directive rules out rest parameters, hence `arguments`)
+    boundFunction = function() {
+      'use strict';
+      
+      const args = [...boundArgs, ...arguments];
+      
+      if (new.target) {
+        // `new bound()` constructs the target itself, so instances inherit
+        // from target.prototype. Any other new.target (Reflect.construct,
+        // subclasses) is passed through unchanged.
+        const newTarget = new.target === boundFunction ? target : new.target;
+        return Reflect.construct(target, args, newTarget);
+      }
+      
+      return callFunction(target, context, args);
+    };
+    
+    // A bound function has no prototype of its own. Ordinary functions
+    // can't lose the property, so leave it permanently undefined instead -
+    // `class extends bound {}` throws, just like with a native bound function.
+    Object.defineProperty(boundFunction, 'prototype', { value: undefined, writable: false });
+  } else {
+    // Binding an arrow function or method doesn't make it constructable:
+    // a method has no [[Construct]], so `new bound()` throws
+    boundFunction = {
+      bound(...args) {
+        return callFunction(target, context, [...boundArgs, ...args]);
+      }
+    }.bound;
+  }
+  
+  // Binding a class keeps its static inheritance: bound classes still
+  // inherit from the parent class, like the target does
+  Object.setPrototypeOf(boundFunction, Object.getPrototypeOf(target));
+  
+  // `instanceof bound` is `instanceof target`
+  Object.defineProperty(boundFunction, Symbol.hasInstance, {
+    value: instance => instance instanceof target,
+    configurable: true
+  });
+  
+  // length: the target's length minus the bound arguments, never negative
+  let length = 0;
+  
+  if (Object.prototype.hasOwnProperty.call(target, 'length')) {
+    const targetLength = target.length;
+    
+    if (typeof targetLength === 'number') {
+      length = Math.max(toIntegerOrInfinity(targetLength) - boundArgs.length, 0);
+    }
+  }
+  
+  // name: "bound greet" (or just "bound " for an anonymous target)
+  const targetName = target.name;
+  const name = 'bound ' + (typeof targetName === 'string' ? targetName : '');
+  
+  Object.defineProperty(boundFunction, 'length', { value: length, configurable: true });
+  Object.defineProperty(boundFunction, 'name', { value: name, configurable: true });
+  
+  return boundFunction;
+});
@@ -0,0 +1,196 @@
+// ============================================
+// ADVANCED JAVASCRIPT POLYFILLS & IMPLEMENTATIONS
+// For Senior Frontend Engineers (8+ Years Experience)
+// ============================================
+
+// Loading this entry point has no side effects: the array, function,
+// promise and event-target modules only register their polyfills, and
+// nothing is defined on a built-in until installPolyfills() runs.
+//
+// const { installPolyfills, uninstallPolyfills, debounce } = require('./polyfills');
+// import { installPolyfills, MyPromise } from './polyfills/index.mjs';
+//
+// for (const key in [1, 2]) console.log(key); // '0', '1' - no 'myMap' etc.
+// installPolyfills();                         // [1, 2].myMap(...), greet.myBind(...)
+// installPolyfills({ realNames: true });      // Also fills in what's missing
+// uninstallPolyfills();                       // Back to the original built-ins
+//
+// Runnable usage examples live in ./examples (`node polyfills/examples/array.js`).
+
+const { installPolyfills, uninstallPolyfills } = require('./installer');
+const { flattenArray } = require('./array');
+require('./function');
+const {
+  MyPromise,
+  createAbortError,
+  throwIfAborted,
+  abortable,
+  abortableDelay
+} = require('./promise');
+const {
+  mapLimit,
+  mapLimitIterable,
+  parallelLimit,
+  parallelLimitOptimized,
+  parallelLimitWithProgress,
+  TaskPool
+} = require('./async-control');
+const {
+  debounce,
+  debounceAdvanced,
+  debounceAsync,
+  throttle,
+  throttleAdvanced,
+  throttleAsync,
+  rafThrottle,
+  idleDebounce,
+  RateLimiter,
+  rateLimit,
+  mySetInterval,
+  mySetIntervalAdvanced,
+  mySetIntervalFixedRate
+} = require('./timing');
+const { systemClock, FakeClock } = require('./clock');
+const { Scheduler } = require('./scheduler');
+const { EventEmitter } = require('./events');
+const {
+  MyEvent,
+  MyCustomEvent,
+  MyEventTarget,
+  eventTargetFromEmitter,
+  emitterFromEventTarget
+} = require('./event-target');
+const {
+  shallowCopy,
+  shallowCopyMethods,
+  deepCopy,
+  deepCopySimple,
+  deepCopyJSON
+} = require('./copy');
+const { flattenObject, flattenObjectCustom, unflattenObject } = require('./object');
+const {
+  memoize,
+  memoizeWithKey,
+  LRUCache,
+  memoizeWithLRU,
+  memoizeWithExpiration,
+  memoizeAsync
+} = require('./cache');
+const {
+  retry,
+  retryWithBackoff,
+  retryWithJitter,
+  retryWithCondition,
+  retryAdvanced
+} = require('./retry');
+
+module.exports = {
+  installPolyfills,
+  uninstallPolyfills,
+  flattenArray,
+  MyPromise,
+  createAbortError,
+  throwIfAborted,
+  abortable,
+  abortableDelay,
+  mapLimit,
+  mapLimitIterable,
+  parallelLimit,
+  parallelLimitOptimized,
+  parallelLimitWithProgress,
+  TaskPool,
+  debounce,
+  debounceAdvanced,
+  debounceAsync,
+  throttle,
+  throttleAdvanced,
+  throttleAsync,
+  rafThrottle,
+  idleDebounce,
+  RateLimiter,
+  rateLimit,
+  mySetInterval,
+  mySetIntervalAdvanced,
+  mySetIntervalFixedRate,
+  systemClock,
+  FakeClock,
+  Scheduler,
+  EventEmitter,
+  MyEvent,
+  MyCustomEvent,
+  MyEventTarget,
+  eventTargetFromEmitter,
+  emitterFromEventTarget,
+  shallowCopy,
+  shallowCopyMethods,
+  deepCopy,
+  deepCopySimple,
+  deepCopyJSON,
+  flattenObject,
+  flattenObjectCustom,
+  unflattenObject,
+  memoize,
+  memoizeWithKey,
+  LRUCache,
+  memoizeWithLRU,
+  memoizeWithExpiration,
+  memoizeAsync,
+  retry,
+  retryWithBackoff,
+  retryWithJitter,
+  retryWithCondition,
+  retryAdvanced
+};
+
+// ============================================
+// INTERVIEW TIPS & BEST PRACTICES
+// ============================================
+
+/*
+KEY POINTS FOR SENIOR INTERVIEWS (8+ Years):
+
+1. ERROR HANDLING
+   - Always validate inputs
+   - Handle edge cases (null, undefined, empty arrays)
+   - Provide meaningful error messages
+
+2. PERFORMANCE CONSIDERATIONS
+   - Use WeakMap for circular reference handling
+   - Consider memory implications of caching
+   - Use appropriate data structures (Map vs Object)
+
+3. BROWSER COMPATIBILITY
+   - Check for existing native implementations
+   - Use feature detection, not browser detection
+   - Gracefully handle missing features
+
+4. CODE QUALITY
+   - Write clean, readable code
+   - Add comments for complex logic
+   - Follow SOLID principles
+
+5. TESTING CONSIDERATIONS
+   - Think about edge cases
+   - Consider how to test async code
+   - Handle race conditions
+
+6. COMMON INTERVIEW QUESTIONS
+   - "Why would you use X over Y?"
+   - "What are the performance implications?"
+   - "How would you handle edge case Z?"
+   - "What improvements would you make to this implementation?"
+
+7. ADVANCED CONCEPTS TO MENTION
+   - Closures and lexical scope
+   - Event loop and microtask queue
+   - Memory management and garbage collection
+   - Promise chaining and error propagation
+   - Prototype chain and inheritance
+
+8. REAL-WORLD SCENARIOS
+   - Rate limiting API calls
+   - Handling network failures gracefully
+   - Implementing undo/redo functionality
+   - Building reactive systems
+   - Optimizing rendering performance
+*/
@@ -0,0 +1,62 @@
+// ES module entry point. The implementation is CommonJS, so this wrapper
+// re-exports the same bindings: require() and import share one polyfill
+// registry, and installing through either one installs for both.
+import polyfills from './index.js';
+
+export const {
+  installPolyfills,
+  uninstallPolyfills,
+  flattenArray,
+  MyPromise,
+  createAbortError,
+  throwIfAborted,
+  abortable,
+  abortableDelay,
+  mapLimit,
+  mapLimitIterable,
+  parallelLimit,
+  parallelLimitOptimized,
+  parallelLimitWithProgress,
+  TaskPool,
+  debounce,
+  debounceAdvanced,
+  debounceAsync,
+  throttle,
+  throttleAdvanced,
+  throttleAsync,
+  rafThrottle,
+  idleDebounce,
+  RateLimiter,
+  rateLimit,
+  mySetInterval,
+  mySetIntervalAdvanced,
+  mySetIntervalFixedRate,
+  systemClock,
+  FakeClock,
+  Scheduler,
+  EventEmitter,
+  MyEvent,
+  MyCustomEvent,
+  MyEventTarget,
+  eventTargetFromEmitter,
+  emitterFromEventTarget,
+  shallowCopy,
+  shallowCopyMethods,
+  deepCopy,
+  deepCopySimple,
+  deepCopyJSON,
+  flattenObject,
+  flattenObjectCustom,
+  unflattenObject,
+  memoize,
+  memoizeWithKey,
+  LRUCache,
+  memoizeWithLRU,
+  memoizeWithExpiration,
+  memoizeAsync,
+  retry,
+  retryWithBackoff,
+  retryWithJitter,
+  retryWithCondition,
+  retryAdvanced
+} = polyfills;
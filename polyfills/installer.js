@@ -0,0 +1,101 @@
+// ============================================
+// POLYFILL INSTALLER
+// ============================================
+
+// Assigning `Array.prototype.myMap = fn` creates an ENUMERABLE property, so
+// it shows up in every for...in over an array. Built-in methods are
+// { writable: true, enumerable: false, configurable: true }, so every
+// polyfill module registers here and nothing is defined until
+// installPolyfills() runs - loading a module never touches a built-in.
+const polyfillRegistry = [];
+// Everything the installer defined, so uninstallPolyfills() can undo it
+const installedProperties = [];
+
+function registerPolyfill(target, name, implementation, myName) {
+  polyfillRegistry.push({
+    target,
+    name,
+    myName: myName || 'my' + name[0].toUpperCase() + name.slice(1),
+    implementation
+  });
+}
+
+// `name` and `length` are the spec values for the native method, e.g.
+// definePolyfill(Array.prototype, 'map', 1, fn) registers `myMap`
+function definePolyfill(target, name, length, implementation, myName) {
+  // Match the native function's metadata: map.name === 'map', map.length === 1
+  Object.defineProperty(implementation, 'name', { value: name, configurable: true });
+  Object.defineProperty(implementation, 'length', { value: length, configurable: true });
+  
+  registerPolyfill(target, name, implementation, myName);
+}
+
+// For exported classes: they keep their own name, so MyEvent.name stays
+// 'MyEvent' (and so does instance.constructor.name). The constructor's
+// length is the caller's to get right.
+function defineClassPolyfill(target, name, implementation, myName) {
+  registerPolyfill(target, name, implementation, myName);
+}
+
+function installPolyfill({ target, implementation }, key, force = false) {
+  // Feature detection: never replace an existing implementation unless forced
+  if (key in target && !force) {
+    return false;
+  }
+  
+  installedProperties.push({
+    target,
+    key,
+    descriptor: Object.getOwnPropertyDescriptor(target, key)
+  });
+  
+  Object.defineProperty(target, key, {
+    value: implementation,
+    writable: true,
+    enumerable: false,
+    configurable: true
+  });
+  
+  return true;
+}
+
+// Install under the `my*` names. With `realNames`, also fill in the
+// real names (map, bind, ...) where the engine lacks them - or everywhere
+// with `force`, e.g. to run the polyfills in a modern engine.
+function installPolyfills({ realNames = false, force = false } = {}) {
+  polyfillRegistry.forEach(polyfill => installPolyfill(polyfill, polyfill.myName));
+  
+  if (realNames) {
+    // A later, more complete polyfill of the same method (e.g.
+    // finallyPolyfill over myFinally) takes precedence
+    const latest = polyfillRegistry.filter((polyfill, index) => (
+      !polyfillRegistry.slice(index + 1).some(other => (
+        other.target === polyfill.target && other.name === polyfill.name
+      ))
+    ));
+    
+    latest.forEach(polyfill => installPolyfill(polyfill, polyfill.name, force));
+  }
+}
+
+// Undo every install in reverse order, restoring the original descriptors
+// (or removing the property if there wasn't one)
+function uninstallPolyfills() {
+  while (installedProperties.length) {
+    const { target, key, descriptor } = installedProperties.pop();
+    
+    if (descriptor) {
+      Object.defineProperty(target, key, descriptor);
+    } else {
+      delete target[key];
+    }
+  }
+}
+
+module.exports = {
+  definePolyfill,
+  defineClassPolyfill,
+  installPolyfills,
+  uninstallPolyfills
+};
+
@@ -0,0 +1,60 @@
+// ============================================
+// FLATTEN DEEPLY NESTED OBJECT
+// ============================================
+
+// 1. Flatten object to single level with dot notation
+function flattenObject(obj, prefix = '', result = {}) {
+  for (const key in obj) {
+    if (obj.hasOwnProperty(key)) {
+      const newKey = prefix ? `${prefix}.${key}` : key;
+      
+      if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
+        flattenObject(obj[key], newKey, result);
+      } else {
+        result[newKey] = obj[key];
+      }
+    }
+  }
+  
+  return result;
+}
+
+// 2. Flatten with custom separator
+function flattenObjectCustom(obj, separator = '.', prefix = '') {
+  return Object.keys(obj).reduce((acc, key) => {
+    const newKey = prefix ? `${prefix}${separator}${key}` : key;
+    
+    if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
+      Object.assign(acc, flattenObjectCustom(obj[key], separator, newKey));
+    } else {
+      acc[newKey] = obj[key];
+    }
+    
+    return acc;
+  }, {});
+}
+
+// 3. Unflatten (reverse operation)
+function unflattenObject(obj, separator = '.') {
+  const result = {};
+  
+  for (const key in obj) {
+    const keys = key.split(separator);
+    keys.reduce((acc, currentKey, index) => {
+      if (index === keys.length - 1) {
+        acc[currentKey] = obj[key];
+      } else {
+        acc[currentKey] = acc[currentKey] || {};
+      }
+      return acc[currentKey];
+    }, result);
+  }
+  
+  return result;
+}
+
+module.exports = {
+  flattenObject,
+  flattenObjectCustom,
+  unflattenObject
+};
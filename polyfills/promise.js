@@ -0,0 +1,790 @@
+// ============================================
+// PROMISE POLYFILLS
+// ============================================
+
+const { definePolyfill } = require('./installer');
+const { systemClock } = require('./clock');
+
+// 1. Basic Promise Implementation
+
+// Promise reactions must run as microtasks, not macrotasks (setTimeout), so
+// they interleave correctly with native promises and aren't throttled in
+// background tabs. Pick the best primitive the environment offers.
+function createMicrotaskScheduler() {
+  if (typeof queueMicrotask === 'function') {
+    return callback => queueMicrotask(callback);
+  }
+  
+  // Browsers without queueMicrotask: MutationObserver callbacks are microtasks
+  if (typeof MutationObserver === 'function' && typeof document !== 'undefined') {
+    const queue = [];
+    const node = document.createTextNode('');
+    let toggle = 0;
+    
+    new MutationObserver(() => {
+      const callbacks = queue.splice(0);
+      callbacks.forEach(callback => callback());
+    }).observe(node, { characterData: true });
+    
+    return callback => {
+      queue.push(callback);
+      // Only the first callback of a batch needs to trigger a mutation
+      if (queue.length === 1) {
+        node.data = String(toggle ^= 1);
+      }
+    };
+  }
+  
+  // Older Node.js
+  if (typeof process !== 'undefined' && typeof process.nextTick === 'function') {
+    return callback => process.nextTick(callback);
+  }
+  
+  // Last resort: macrotask
+  return callback => setTimeout(callback, 0);
+}
+
+const defaultScheduler = createMicrotaskScheduler();
+let scheduleMicrotask = defaultScheduler;
+
+class MyPromise {
+  constructor(executor, options = {}) {
+    const { signal } = options;
+    
+    this.state = 'pending';
+    this.value = undefined;
+    this.reason = undefined;
+    this.onFulfilledCallbacks = [];
+    this.onRejectedCallbacks = [];
+    // Becomes true once anyone calls then/catch/finally on this promise
+    this.handled = false;
+    // Inherited by every promise derived through then()
+    this.signal = signal;
+    
+    let removeAbortListener = () => {};
+    
+    const fulfill = (value) => {
+      if (this.state === 'pending') {
+        removeAbortListener();
+        this.state = 'fulfilled';
+        this.value = value;
+        this.onFulfilledCallbacks.forEach(fn => fn(value));
+      }
+    };
+    
+    const settleRejected = (reason) => {
+      if (this.state === 'pending') {
+        removeAbortListener();
+        this.state = 'rejected';
+        this.reason = reason;
+        this.onRejectedCallbacks.forEach(fn => fn(reason));
+        
+        if (!this.handled) {
+          trackRejection(this);
+        }
+      }
+    };
+    
+    // Once resolve/reject has been called the promise is "locked in", even
+    // if it is still pending while it follows a thenable
+    let alreadyResolved = false;
+    
+    const resolve = (value) => {
+      if (alreadyResolved) return;
+      alreadyResolved = true;
+      // Adopt the state of promises and foreign thenables
+      resolvePromise(this, value, fulfill, settleRejected);
+    };
+    
+    const reject = (reason) => {
+      if (alreadyResolved) return;
+      alreadyResolved = true;
+      // A thenable reason is NOT unwrapped - it becomes the reason as-is
+      settleRejected(reason);
+    };
+    
+    // Cancellation wins over everything while pending - even over a thenable
+    // the promise is already following
+    if (signal) {
+      if (signal.aborted) {
+        alreadyResolved = true;
+        settleRejected(createAbortError(signal));
+        return;
+      }
+      
+      const onAbort = () => {
+        alreadyResolved = true;
+        settleRejected(createAbortError(signal));
+      };
+      
+      signal.addEventListener('abort', onAbort, { once: true });
+      removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+    }
+    
+    try {
+      executor(resolve, reject);
+    } catch (error) {
+      reject(error);
+    }
+  }
+  
+  then(onFulfilled, onRejected) {
+    onFulfilled = typeof onFulfilled === 'function' ? onFulfilled : value => value;
+    onRejected = typeof onRejected === 'function' ? onRejected : reason => { throw reason; };
+    
+    if (!this.handled) {
+      this.handled = true;
+      if (this.state === 'rejected') {
+        trackHandled(this);
+      }
+    }
+    
+    const signal = this.signal;
+    
+    const promise2 = new MyPromise((resolve, reject) => {
+      // An abort reaches promise2 as a normal rejection of `this`, so catch
+      // handlers further down still run. Only a promise returned by a handler
+      // needs binding to the signal, or promise2 would keep waiting on it -
+      // unless the signal has already fired: then the handler is recovering
+      // from the abort (`.catch(() => fetchFallback())`), and binding would
+      // just reject it again.
+      const resolveResult = x => {
+        const isThenable = x !== null && (typeof x === 'object' || typeof x === 'function');
+        const bind = signal && !signal.aborted && isThenable && x !== promise2;
+        resolve(bind ? new MyPromise(res => res(x), { signal }) : x);
+      };
+      
+      if (this.state === 'fulfilled') {
+        scheduleMicrotask(() => {
+          try {
+            resolveResult(onFulfilled(this.value));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      }
+      
+      if (this.state === 'rejected') {
+        scheduleMicrotask(() => {
+          try {
+            resolveResult(onRejected(this.reason));
+          } catch (error) {
+            reject(error);
+          }
+        });
+      }
+      
+      if (this.state === 'pending') {
+        this.onFulfilledCallbacks.push(() => {
+          scheduleMicrotask(() => {
+            try {
+              resolveResult(onFulfilled(this.value));
+            } catch (error) {
+              reject(error);
+            }
+          });
+        });
+        
+        this.onRejectedCallbacks.push(() => {
+          scheduleMicrotask(() => {
+            try {
+              resolveResult(onRejected(this.reason));
+            } catch (error) {
+              reject(error);
+            }
+          });
+        });
+      }
+    });
+    
+    // Cancellation propagates down the chain
+    promise2.signal = signal;
+    return promise2;
+  }
+  
+  catch(onRejected) {
+    return this.then(null, onRejected);
+  }
+  
+  finally(onFinally) {
+    return this.then(
+      value => MyPromise.resolve(onFinally()).then(() => value),
+      reason => MyPromise.resolve(onFinally()).then(() => { throw reason; })
+    );
+  }
+  
+  static resolve(value) {
+    if (value instanceof MyPromise) {
+      return value;
+    }
+    return new MyPromise(resolve => resolve(value));
+  }
+  
+  static reject(reason) {
+    return new MyPromise((_, reject) => reject(reason));
+  }
+  
+  // Combinators accept any iterable (arrays, Sets, generators, Map values).
+  // A non-iterable argument or an iterator that throws makes the for...of
+  // throw inside the executor, which rejects the returned promise.
+  static all(iterable) {
+    return new MyPromise((resolve, reject) => {
+      const results = [];
+      // Start at 1 so we can't resolve before iteration has finished
+      let remaining = 1;
+      let index = 0;
+      
+      for (const item of iterable) {
+        const currentIndex = index++;
+        results.push(undefined);
+        remaining++;
+        
+        MyPromise.resolve(item).then(value => {
+          results[currentIndex] = value;
+          if (--remaining === 0) {
+            resolve(results);
+          }
+        }, reject);
+      }
+      
+      if (--remaining === 0) {
+        resolve(results);
+      }
+    });
+  }
+  
+  static race(iterable) {
+    return new MyPromise((resolve, reject) => {
+      // An empty iterable never settles
+      for (const item of iterable) {
+        MyPromise.resolve(item).then(resolve, reject);
+      }
+    });
+  }
+  
+  static allSettled(iterable) {
+    return new MyPromise((resolve) => {
+      const results = [];
+      let remaining = 1;
+      let index = 0;
+      
+      for (const item of iterable) {
+        const currentIndex = index++;
+        results.push(undefined);
+        remaining++;
+        
+        const settle = (result) => {
+          results[currentIndex] = result;
+          if (--remaining === 0) {
+            resolve(results);
+          }
+        };
+        
+        MyPromise.resolve(item).then(
+          value => settle({ status: 'fulfilled', value }),
+          reason => settle({ status: 'rejected', reason })
+        );
+      }
+      
+      if (--remaining === 0) {
+        resolve(results);
+      }
+    });
+  }
+  
+  static any(iterable) {
+    return new MyPromise((resolve, reject) => {
+      const errors = [];
+      let remaining = 1;
+      let index = 0;
+      
+      for (const item of iterable) {
+        const currentIndex = index++;
+        errors.push(undefined);
+        remaining++;
+        
+        MyPromise.resolve(item).then(resolve, reason => {
+          errors[currentIndex] = reason;
+          if (--remaining === 0) {
+            reject(createAggregateError(errors, 'All promises were rejected'));
+          }
+        });
+      }
+      
+      // Empty iterable rejects immediately
+      if (--remaining === 0) {
+        reject(createAggregateError(errors, 'All promises were rejected'));
+      }
+    });
+  }
+  
+  // ES2024: expose resolve/reject outside the executor (a "deferred")
+  static withResolvers() {
+    let resolve;
+    let reject;
+    const promise = new MyPromise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+  
+  // ES2025: run fn synchronously, turning a throw into a rejection
+  static try(fn, ...args) {
+    return new MyPromise(resolve => resolve(fn(...args)));
+  }
+  
+  // Swap the scheduler (e.g. a synchronous queue in tests). Call with no
+  // argument to restore the default. Returns the previous scheduler.
+  static setScheduler(scheduler = defaultScheduler) {
+    if (typeof scheduler !== 'function') {
+      throw new TypeError('Scheduler must be a function');
+    }
+    
+    const previous = scheduleMicrotask;
+    scheduleMicrotask = scheduler;
+    return previous;
+  }
+}
+
+// Hooks for rejection tracking, modeled on the browser's `unhandledrejection`
+// and `rejectionhandled` events. When unset, the events go to the host
+// environment instead (window events or process events in Node).
+MyPromise.onUnhandledRejection = null; // (reason, promise) => void
+MyPromise.onRejectionHandled = null;   // (promise) => void
+
+// Unhandled rejection tracking (same algorithm as the HTML spec):
+// a promise rejected without handlers is only reported if it's still
+// unhandled after the current task, so `reject()` followed by a `.catch()`
+// in the same tick doesn't count. If a handler is attached after it was
+// reported, a `rejectionhandled` notification follows.
+const aboutToBeNotified = new Set();
+const reportedRejections = new WeakSet();
+let rejectionFlushScheduled = false;
+
+function trackRejection(promise) {
+  aboutToBeNotified.add(promise);
+  
+  if (!rejectionFlushScheduled) {
+    rejectionFlushScheduled = true;
+    // A macrotask runs after every pending microtask (i.e. handler) has run
+    setTimeout(flushUnhandledRejections, 0);
+  }
+}
+
+function trackHandled(promise) {
+  // Handled before it was reported: nothing to notify
+  if (aboutToBeNotified.delete(promise)) {
+    return;
+  }
+  
+  if (reportedRejections.has(promise)) {
+    reportedRejections.delete(promise);
+    setTimeout(() => notifyRejection('rejectionhandled', promise), 0);
+  }
+}
+
+function flushUnhandledRejections() {
+  rejectionFlushScheduled = false;
+  const promises = [...aboutToBeNotified];
+  aboutToBeNotified.clear();
+  
+  promises.forEach(promise => {
+    reportedRejections.add(promise);
+    notifyRejection('unhandledrejection', promise);
+  });
+}
+
+function notifyRejection(type, promise) {
+  const isUnhandled = type === 'unhandledrejection';
+  const hook = isUnhandled ? MyPromise.onUnhandledRejection : MyPromise.onRejectionHandled;
+  
+  if (typeof hook === 'function') {
+    return isUnhandled ? hook(promise.reason, promise) : hook(promise);
+  }
+  
+  let reported = false;
+  
+  // Browser-like: dispatch a cancelable event on the global object
+  if (typeof globalThis.dispatchEvent === 'function' && typeof Event === 'function') {
+    const event = new Event(type, { cancelable: true });
+    event.promise = promise;
+    event.reason = promise.reason;
+    // event.preventDefault() suppresses the default console report
+    reported = !globalThis.dispatchEvent(event);
+  } else if (typeof process !== 'undefined' && typeof process.emit === 'function') {
+    // Node: reuse the process events so existing handlers see MyPromise too
+    reported = isUnhandled
+      ? process.emit('unhandledRejection', promise.reason, promise)
+      : process.emit('rejectionHandled', promise);
+  }
+  
+  if (isUnhandled && !reported) {
+    console.error('Uncaught (in MyPromise)', promise.reason);
+  }
+}
+
+// Fallback for engines without a native AggregateError
+function createAggregateError(errors, message) {
+  if (typeof AggregateError === 'function') {
+    return new AggregateError(errors, message);
+  }
+  
+  const error = new Error(message);
+  error.name = 'AggregateError';
+  error.errors = errors;
+  return error;
+}
+
+// Promises/A+ 2.3: The Promise Resolution Procedure
+function resolvePromise(promise, x, resolve, reject) {
+  // 2.3.1 A promise cannot be resolved with itself
+  if (promise === x) {
+    return reject(new TypeError('Chaining cycle detected'));
+  }
+  
+  // 2.3.4 Primitives can never be thenables
+  if (x === null || (typeof x !== 'object' && typeof x !== 'function')) {
+    return resolve(x);
+  }
+  
+  // 2.3.3.1 Read `then` exactly once - it may be a getter with side effects
+  let then;
+  try {
+    then = x.then;
+  } catch (error) {
+    return reject(error);
+  }
+  
+  if (typeof then !== 'function') {
+    return resolve(x);
+  }
+  
+  // 2.3.3.3.3 A thenable may call its callbacks many times (or throw after
+  // calling them); only the first call counts
+  let called = false;
+  
+  // Like native NewPromiseResolveThenableJob, call `then` in a microtask so
+  // adopting a thenable costs the same number of ticks as with Promise
+  scheduleMicrotask(() => {
+    try {
+      then.call(
+        x,
+        y => {
+          if (called) return;
+          called = true;
+          // The thenable may resolve with another thenable - recurse
+          resolvePromise(promise, y, resolve, reject);
+        },
+        r => {
+          if (called) return;
+          called = true;
+          reject(r);
+        }
+      );
+    } catch (error) {
+      if (!called) {
+        called = true;
+        reject(error);
+      }
+    }
+  });
+}
+
+// Passes the Promises/A+ test suite: `npm run test:aplus` runs it against
+// test/promises-aplus-adapter.js
+
+// 2. Promise.all()
+// Like the native combinators, these accept any iterable (arrays, Sets,
+// generators, Map values). A non-iterable argument makes for...of throw a
+// TypeError, and an iterator that throws partway rethrows - both inside the
+// executor, which turns them into a rejection.
+definePolyfill(Promise, 'all', 1, function(iterable) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    // Start at 1 so we can't resolve before the iterator is exhausted
+    let remaining = 1;
+    let index = 0;
+    
+    for (const promise of iterable) {
+      const currentIndex = index++;
+      results.push(undefined);
+      remaining++;
+      
+      Promise.resolve(promise)
+        .then(value => {
+          results[currentIndex] = value;
+          
+          if (--remaining === 0) {
+            resolve(results);
+          }
+        })
+        .catch(error => {
+          reject(error); // Reject on first error
+        });
+    }
+    
+    // Empty iterable resolves with []
+    if (--remaining === 0) {
+      resolve(results);
+    }
+  });
+});
+
+// 3. Promise.race()
+definePolyfill(Promise, 'race', 1, function(promises) {
+  return new Promise((resolve, reject) => {
+    // An empty iterable never settles
+    for (const promise of promises) {
+      Promise.resolve(promise)
+        .then(resolve)  // First to resolve wins
+        .catch(reject); // First to reject wins
+    }
+  });
+});
+
+// 4. Promise.allSettled()
+definePolyfill(Promise, 'allSettled', 1, function(promises) {
+  return new Promise((resolve) => {
+    const results = [];
+    let remaining = 1;
+    let index = 0;
+    
+    for (const promise of promises) {
+      const currentIndex = index++;
+      results.push(undefined);
+      remaining++;
+      
+      Promise.resolve(promise)
+        .then(
+          value => ({ status: 'fulfilled', value }),
+          reason => ({ status: 'rejected', reason })
+        )
+        .then(result => {
+          results[currentIndex] = result;
+          
+          if (--remaining === 0) {
+            resolve(results);
+          }
+        });
+    }
+    
+    if (--remaining === 0) {
+      resolve(results);
+    }
+  });
+});
+
+// 5. Promise.any()
+definePolyfill(Promise, 'any', 1, function(promises) {
+  return new Promise((resolve, reject) => {
+    const errors = [];
+    let remaining = 1;
+    let index = 0;
+    
+    for (const promise of promises) {
+      const currentIndex = index++;
+      errors.push(undefined);
+      remaining++;
+      
+      Promise.resolve(promise)
+        .then(value => {
+          resolve(value); // First fulfilled promise wins
+        })
+        .catch(error => {
+          errors[currentIndex] = error;
+          
+          if (--remaining === 0) {
+            reject(createAggregateError(errors, 'All promises were rejected'));
+          }
+        });
+    }
+    
+    // Empty iterable rejects immediately
+    if (--remaining === 0) {
+      reject(createAggregateError(errors, 'All promises were rejected'));
+    }
+  });
+});
+
+// 6. Cancellation with AbortSignal
+// Reject with signal.reason (a DOMException named 'AbortError' by default)
+function createAbortError(signal) {
+  if (signal && signal.reason !== undefined) {
+    return signal.reason;
+  }
+  
+  if (typeof DOMException === 'function') {
+    return new DOMException('This operation was aborted', 'AbortError');
+  }
+  
+  const error = new Error('This operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError(signal);
+  }
+}
+
+// Settle with `promise`, or reject as soon as `signal` aborts. The abort
+// listener is always removed, so long-lived signals don't collect listeners,
+// and an abandoned `promise` is still observed so it can't go unhandled.
+function abortable(promise, signal) {
+  if (!signal) {
+    return Promise.resolve(promise);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(signal));
+    
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// setTimeout as a promise that clears its timer and listener on abort
+function abortableDelay(ms, signal, options = {}) {
+  const { clock = systemClock } = options;
+  
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(createAbortError(signal));
+    }
+    
+    const onAbort = () => {
+      clock.clearTimeout(timeoutId);
+      reject(createAbortError(signal));
+    };
+    
+    const timeoutId = clock.setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// 7. Async iterable combinators
+// Pull from a `for await` source lazily - one item at a time, as the source
+// produces it - and stop pulling (closing the source) once the result is
+// decided. Sync iterables fall back to the regular combinators.
+function isAsyncIterable(source) {
+  return source != null && typeof source[Symbol.asyncIterator] === 'function';
+}
+
+definePolyfill(Promise, 'allAsync', 1, function(source) {
+  if (!isAsyncIterable(source)) {
+    return Promise.myAll(source);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const results = [];
+    let remaining = 1;
+    let settled = false;
+    
+    const fail = (error) => {
+      settled = true;
+      reject(error);
+    };
+    
+    const onItemDone = () => {
+      if (--remaining === 0) {
+        settled = true;
+        resolve(results);
+      }
+    };
+    
+    (async () => {
+      let index = 0;
+      
+      for await (const promise of source) {
+        const currentIndex = index++;
+        results.push(undefined);
+        remaining++;
+        
+        Promise.resolve(promise).then(value => {
+          results[currentIndex] = value;
+          onItemDone();
+        }, fail);
+        
+        // Let an already-settled item run its handler before pulling the
+        // next one. `break` calls the source's return() (a generator's finally).
+        await null;
+        if (settled) break;
+      }
+      
+      onItemDone();
+    })().catch(fail); // The source itself threw
+  });
+}, 'allAsync');
+
+definePolyfill(Promise, 'raceAsync', 1, function(source) {
+  if (!isAsyncIterable(source)) {
+    return Promise.myRace(source);
+  }
+  
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    
+    const settleWith = (settle) => (result) => {
+      settled = true;
+      settle(result);
+    };
+    
+    (async () => {
+      for await (const promise of source) {
+        Promise.resolve(promise).then(settleWith(resolve), settleWith(reject));
+        
+        await null;
+        if (settled) break;
+      }
+    })().catch(settleWith(reject));
+  });
+}, 'raceAsync');
+
+// 8. Promise.prototype.finally()
+definePolyfill(Promise.prototype, 'finally', 1, function(onFinally) {
+  return this.then(
+    // On fulfillment
+    (value) => {
+      return Promise.resolve(onFinally()).then(() => value);
+    },
+    // On rejection
+    (reason) => {
+      return Promise.resolve(onFinally()).then(() => {
+        throw reason;
+      });
+    }
+  );
+});
+
+// More complete implementation
+definePolyfill(Promise.prototype, 'finally', 1, function(onFinally) {
+  const P = this.constructor;
+  
+  return this.then(
+    (value) => P.resolve(onFinally()).then(() => value),
+    (reason) => P.resolve(onFinally()).then(() => { throw reason; })
+  );
+}, 'finallyPolyfill');
+
+module.exports = {
+  MyPromise,
+  createAggregateError,
+  createAbortError,
+  throwIfAborted,
+  abortable,
+  abortableDelay,
+  isAsyncIterable
+};
@@ -0,0 +1,186 @@
+// ============================================
+// RETRY MECHANISM
+// ============================================
+
+const { throwIfAborted, abortable, abortableDelay } = require('./promise');
+const { systemClock } = require('./clock');
+
+// 1. Basic Retry
+async function retry(fn, maxAttempts = 3, delay = 1000, options = {}) {
+  const { signal, clock } = options;
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    throwIfAborted(signal);
+    
+    try {
+      const result = await abortable(fn(signal), signal);
+      return result;
+    } catch (error) {
+      // Never retry a cancellation
+      if (signal?.aborted) {
+        throw error;
+      }
+      
+      if (attempt === maxAttempts) {
+        throw new Error(`Failed after ${maxAttempts} attempts: ${error.message}`);
+      }
+      
+      console.log(`Attempt ${attempt} failed, retrying in ${delay}ms...`);
+      await abortableDelay(delay, signal, { clock });
+    }
+  }
+}
+
+// 2. Retry with exponential backoff
+async function retryWithBackoff(fn, options = {}) {
+  const {
+    maxAttempts = 3,
+    initialDelay = 1000,
+    maxDelay = 30000,
+    backoffFactor = 2,
+    onRetry = () => {},
+    signal,
+    clock
+  } = options;
+  
+  let delay = initialDelay;
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    throwIfAborted(signal);
+    
+    try {
+      return await abortable(fn(signal), signal);
+    } catch (error) {
+      if (attempt === maxAttempts || signal?.aborted) {
+        throw error;
+      }
+      
+      onRetry(attempt, error, delay);
+      
+      await abortableDelay(delay, signal, { clock });
+      delay = Math.min(delay * backoffFactor, maxDelay);
+    }
+  }
+}
+
+// 3. Retry with jitter (randomization to prevent thundering herd)
+async function retryWithJitter(fn, options = {}) {
+  const {
+    maxAttempts = 3,
+    baseDelay = 1000,
+    maxDelay = 30000,
+    onRetry = () => {},
+    signal,
+    clock
+  } = options;
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    throwIfAborted(signal);
+    
+    try {
+      return await abortable(fn(signal), signal);
+    } catch (error) {
+      if (attempt === maxAttempts || signal?.aborted) {
+        throw error;
+      }
+      
+      // Exponential backoff with jitter
+      const exponentialDelay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+      const jitter = Math.random() * exponentialDelay;
+      const delay = exponentialDelay / 2 + jitter;
+      
+      onRetry(attempt, error, delay);
+      
+      await abortableDelay(delay, signal, { clock });
+    }
+  }
+}
+
+// 4. Retry with condition (only retry on specific errors)
+async function retryWithCondition(fn, options = {}) {
+  const {
+    maxAttempts = 3,
+    delay = 1000,
+    shouldRetry = () => true,
+    onRetry = () => {},
+    signal,
+    clock
+  } = options;
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    throwIfAborted(signal);
+    
+    try {
+      return await abortable(fn(signal), signal);
+    } catch (error) {
+      const canRetry = attempt < maxAttempts && !signal?.aborted && shouldRetry(error, attempt);
+      
+      if (!canRetry) {
+        throw error;
+      }
+      
+      onRetry(attempt, error);
+      await abortableDelay(delay, signal, { clock });
+    }
+  }
+}
+
+// 5. Advanced retry with timeout and abort
+async function retryAdvanced(fn, options = {}) {
+  const {
+    maxAttempts = 3,
+    initialDelay = 1000,
+    maxDelay = 30000,
+    backoffFactor = 2,
+    timeout = 0,
+    shouldRetry = () => true,
+    onRetry = () => {},
+    signal,
+    clock = systemClock
+  } = options;
+  
+  let delay = initialDelay;
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    // Check if aborted
+    throwIfAborted(signal);
+    
+    let timeoutId;
+    
+    try {
+      // Add timeout if specified
+      if (timeout > 0) {
+        const timeoutPromise = new Promise((_, reject) => {
+          timeoutId = clock.setTimeout(() => reject(new Error('Operation timeout')), timeout);
+        });
+        
+        return await abortable(Promise.race([fn(signal), timeoutPromise]), signal);
+      }
+      
+      return await abortable(fn(signal), signal);
+    } catch (error) {
+      const canRetry = attempt < maxAttempts && !signal?.aborted && shouldRetry(error, attempt);
+      
+      if (!canRetry) {
+        throw error;
+      }
+      
+      onRetry(attempt, error, delay);
+      
+      // Wait with ability to abort (cleans up its listener)
+      await abortableDelay(delay, signal, { clock });
+      
+      delay = Math.min(delay * backoffFactor, maxDelay);
+    } finally {
+      clock.clearTimeout(timeoutId);
+    }
+  }
+}
+
+module.exports = {
+  retry,
+  retryWithBackoff,
+  retryWithJitter,
+  retryWithCondition,
+  retryAdvanced
+};
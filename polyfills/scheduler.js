@@ -0,0 +1,414 @@
+// ============================================
+// CRON SCHEDULER
+// ============================================
+
+const { systemClock } = require('./clock');
+
+// setTimeout overflows past ~24.8 days, so longer waits are taken in steps
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// 1. Cron expressions
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Names count from the field's minimum: JAN is 1, SUN is 0
+const CRON_FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES }
+];
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+function parseCronValue(token, field, expression) {
+  const nameIndex = field.names ? field.names.indexOf(token.toUpperCase()) : -1;
+  const value = nameIndex !== -1 ? nameIndex + field.min : Number(token);
+  
+  if (token === '' || !Number.isInteger(value)) {
+    throw new TypeError(`Invalid ${field.name} "${token}" in cron expression "${expression}"`);
+  }
+  
+  if (value < field.min || value > field.max) {
+    throw new RangeError(`${field.name} ${value} is out of range ${field.min}-${field.max} in cron expression "${expression}"`);
+  }
+  
+  return value;
+}
+
+// "*", "5", "1-5", "*/15", "10-50/20", "MON-FRI", and comma-separated lists
+// of those, as a Set of the values the field matches
+function parseCronField(source, field, expression) {
+  const values = new Set();
+  
+  source.split(',').forEach(part => {
+    const [range, stepToken, extra] = part.split('/');
+    const step = stepToken === undefined ? 1 : Number(stepToken);
+    
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw new TypeError(`Invalid step in ${field.name} "${part}" in cron expression "${expression}"`);
+    }
+    
+    let start;
+    let end;
+    
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else {
+      const [startToken, endToken, rest] = range.split('-');
+      
+      if (rest !== undefined) {
+        throw new TypeError(`Invalid range in ${field.name} "${part}" in cron expression "${expression}"`);
+      }
+      
+      start = parseCronValue(startToken, field, expression);
+      // "5/15" means "from 5 to the end, every 15"
+      end = endToken !== undefined
+        ? parseCronValue(endToken, field, expression)
+        : stepToken !== undefined ? field.max : start;
+    }
+    
+    if (start > end) {
+      throw new RangeError(`Backwards range in ${field.name} "${part}" in cron expression "${expression}"`);
+    }
+    
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  
+  return values;
+}
+
+// Standard 5-field (minute hour day-of-month month day-of-week) or 6-field
+// (with a leading second) expressions, plus the @daily-style macros
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new TypeError('Cron expression must be a string');
+  }
+  
+  const source = CRON_MACROS[expression.trim().toLowerCase()] || expression;
+  const tokens = source.trim().split(/\s+/);
+  
+  if (tokens.length === 5) {
+    tokens.unshift('0');
+  } else if (tokens.length !== 6) {
+    throw new TypeError(`Cron expression "${expression}" must have 5 or 6 fields`);
+  }
+  
+  const [seconds, minutes, hours, daysOfMonth, months, daysOfWeek] =
+    tokens.map((token, index) => parseCronField(token, CRON_FIELDS[index], expression));
+  
+  // 7 is Sunday too
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+  
+  return {
+    seconds,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in classic cron, restricting both day fields means "either one"
+    anyDayOfMonth: tokens[3] === '*',
+    anyDayOfWeek: tokens[5] === '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+  
+  if (cron.anyDayOfMonth) return dayOfWeek;
+  if (cron.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+}
+
+// The first wall-clock time at or after `wallTime` that the expression
+// matches, or null if there's none (e.g. "0 0 30 2 *"). Wall-clock times are
+// kept as UTC timestamps, so the Date UTC methods do the calendar math.
+function nextCronWallTime(cron, wallTime) {
+  const date = new Date(wallTime);
+  // Any valid day comes round within a few years (Feb 29 on a given weekday)
+  const lastYear = date.getUTCFullYear() + 30;
+  
+  while (date.getUTCFullYear() <= lastYear) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0);
+    } else if (!cron.seconds.has(date.getUTCSeconds())) {
+      date.setUTCSeconds(date.getUTCSeconds() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+  
+  return null;
+}
+
+// 2. Time zones
+
+const formatters = new Map();
+
+// `timeZone` undefined means the system's local time zone
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  
+  return formatters.get(timeZone);
+}
+
+// The wall-clock time in `timeZone` at `time`, as a UTC timestamp
+function toWallTime(time, timeZone) {
+  const parts = {};
+  
+  getFormatter(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallTime + (time % 1000 + 1000) % 1000;
+}
+
+// The instant at which `timeZone` shows `wallTime`. Like the Date
+// constructor does for local times, a time skipped by a DST jump is moved
+// forward by the jump, and a time that happens twice picks the first.
+function fromWallTime(wallTime, timeZone) {
+  const day = 24 * 60 * 60 * 1000;
+  const candidates = [
+    wallTime - (toWallTime(wallTime - day, timeZone) - (wallTime - day)),
+    wallTime - (toWallTime(wallTime + day, timeZone) - (wallTime + day))
+  ];
+  const exact = candidates.filter(time => toWallTime(time, timeZone) === wallTime);
+  
+  return exact.length > 0 ? Math.min(...exact) : Math.max(...candidates);
+}
+
+// The first time after `time` that the expression matches in `timeZone`
+function nextCronTime(cron, time, timeZone) {
+  // Cron has one-second resolution: start from the next whole second
+  let wallTime = toWallTime(time, timeZone);
+  wallTime = wallTime - wallTime % 1000 + 1000;
+  
+  for (;;) {
+    const nextWallTime = nextCronWallTime(cron, wallTime);
+    
+    if (nextWallTime === null) {
+      return null;
+    }
+    
+    const nextTime = fromWallTime(nextWallTime, timeZone);
+    
+    // The second pass through a repeated hour maps back before `time`
+    if (nextTime > time) {
+      return nextTime;
+    }
+    
+    wallTime = nextWallTime + 1000;
+  }
+}
+
+// 3. Scheduler
+
+// globalThis.reportError where there is one (browsers, Deno), else the console
+function reportJobError(error) {
+  if (typeof globalThis.reportError === 'function') {
+    globalThis.reportError(error);
+  } else {
+    console.error('Uncaught error in scheduled job:', error);
+  }
+}
+
+// Runs jobs on cron expressions ("0 9 * * MON-FRI") or once at a Date.
+// Every job gets a handle with pause/resume/clear, like mySetIntervalAdvanced.
+//
+// Missed runs (while paused, or while the process was asleep) are skipped,
+// not made up; a one-shot job whose time has passed runs as soon as it can.
+// A job that throws (or rejects) keeps its schedule: the error goes to
+// `onError`, which by default reports it without crashing Node the way an
+// uncaught throw from a timer would.
+class Scheduler {
+  constructor(options = {}) {
+    const { timeZone, onError = reportJobError, clock = systemClock } = options;
+    
+    this.timeZone = timeZone;
+    this.onError = onError;
+    this.clock = clock;
+    this.jobs = new Set();
+    
+    // Fail fast on an unknown time zone (throws a RangeError)
+    getFormatter(timeZone);
+  }
+  
+  // `when` is a cron expression or a Date. Options:
+  // - timeZone: overrides the scheduler's time zone for this job
+  // - maxRuns: clear the job after it has run this many times
+  // - onError: overrides the scheduler's error handler for this job
+  schedule(when, callback, options = {}) {
+    const { timeZone = this.timeZone, maxRuns = Infinity, onError = this.onError } = options;
+    
+    if (typeof callback !== 'function') {
+      throw new TypeError('callback must be a function');
+    }
+    
+    if (!(maxRuns >= 1)) {
+      throw new TypeError('maxRuns must be at least 1');
+    }
+    
+    let nextTime;
+    
+    if (when instanceof Date) {
+      if (Number.isNaN(when.getTime())) {
+        throw new TypeError('Cannot schedule a job at an invalid Date');
+      }
+      
+      const time = when.getTime();
+      nextTime = () => time;
+    } else {
+      const cron = parseCron(when);
+      getFormatter(timeZone);
+      nextTime = after => nextCronTime(cron, after, timeZone);
+    }
+    
+    return this.createJob(nextTime, callback, when instanceof Date ? 1 : maxRuns, onError);
+  }
+  
+  pause() {
+    this.jobs.forEach(job => job.pause());
+  }
+  
+  resume() {
+    this.jobs.forEach(job => job.resume());
+  }
+  
+  clear() {
+    this.jobs.forEach(job => job.clear());
+  }
+  
+  size() {
+    return this.jobs.size;
+  }
+  
+  createJob(nextTime, callback, maxRuns, onError) {
+    const { clock } = this;
+    let timeoutId;
+    let runAt = nextTime(clock.now());
+    let count = 0;
+    let isPaused = false;
+    
+    const arm = () => {
+      if (runAt === null) {
+        job.clear();
+        return;
+      }
+      
+      const wait = Math.min(Math.max(0, runAt - clock.now()), MAX_TIMEOUT);
+      timeoutId = clock.setTimeout(fire, wait);
+    };
+    
+    const fire = () => {
+      timeoutId = undefined;
+      
+      // A long wait taken in steps, or a timer that fired early
+      if (clock.now() < runAt) {
+        arm();
+        return;
+      }
+      
+      const scheduledTime = runAt;
+      count++;
+      
+      // Arm the next run first, so a throwing callback doesn't end the job
+      if (count >= maxRuns) {
+        job.clear();
+      } else {
+        runAt = nextTime(Math.max(clock.now(), scheduledTime));
+        arm();
+      }
+      
+      let result;
+      
+      try {
+        result = callback(new Date(scheduledTime));
+      } catch (error) {
+        onError(error);
+        return;
+      }
+      
+      if (result && typeof result.then === 'function') {
+        Promise.resolve(result).then(null, onError);
+      }
+    };
+    
+    const job = {
+      clear: () => {
+        clock.clearTimeout(timeoutId);
+        timeoutId = undefined;
+        runAt = null;
+        this.jobs.delete(job);
+      },
+      pause: () => {
+        if (!isPaused && runAt !== null) {
+          clock.clearTimeout(timeoutId);
+          timeoutId = undefined;
+          isPaused = true;
+        }
+      },
+      resume: () => {
+        if (isPaused) {
+          isPaused = false;
+          
+          // Skip the cron runs that came due while paused (a one-shot
+          // job's time stays put, so it runs now)
+          if (runAt < clock.now()) {
+            runAt = nextTime(clock.now());
+          }
+          arm();
+        }
+      },
+      count: () => count,
+      // The next run as a Date, or null once the job is done
+      nextRun: () => (runAt === null ? null : new Date(runAt))
+    };
+    
+    this.jobs.add(job);
+    arm();
+    
+    return job;
+  }
+}
+
+module.exports = {
+  Scheduler
+};
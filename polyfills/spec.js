@@ -0,0 +1,58 @@
+// ============================================
+// SPEC HELPERS
+// ============================================
+
+// ECMAScript abstract operations shared by the polyfill modules. Internal:
+// the entry point doesn't re-export them.
+
+function toIntegerOrInfinity(value) {
+  const number = +value; // Throws for Symbol and BigInt, like ToNumber
+  
+  if (Number.isNaN(number) || number === 0) {
+    return 0;
+  }
+  
+  if (!Number.isFinite(number)) {
+    return number;
+  }
+  
+  return Math.trunc(number) + 0; // + 0 turns -0 into 0
+}
+
+// Unlike `length >>> 0` this doesn't wrap at 2^32, e.g. { length: 2 ** 32 + 1 }
+function toLength(value) {
+  const length = toIntegerOrInfinity(value);
+  return length <= 0 ? 0 : Math.min(length, Number.MAX_SAFE_INTEGER);
+}
+
+function isConstructor(value) {
+  if (typeof value !== 'function') {
+    return false;
+  }
+  
+  try {
+    // A proxy is only constructable if its target is. The trap answers for
+    // the target, so nothing of `value` runs or is read (not even .prototype).
+    new (new Proxy(value, { construct: () => ({}) }))();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Define (rather than assign) so setters on the prototype chain don't run
+function createDataPropertyOrThrow(object, key, value) {
+  Object.defineProperty(object, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true
+  });
+}
+
+module.exports = {
+  toIntegerOrInfinity,
+  toLength,
+  isConstructor,
+  createDataPropertyOrThrow
+};
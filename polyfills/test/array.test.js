@@ -0,0 +1,287 @@
+// Conformance tests for the Array polyfills. Each method runs side by side
+// with the native one on the same inputs; a Proxy records every property
+// get/has/set/delete and callback call, so the observable steps have to
+// match the spec (test262-style), not just the result.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { inspect } = require('node:util');
+const { installPolyfills, uninstallPolyfills } = require('../installer');
+require('../array');
+
+// Stops runaway loops on huge lengths at the same step in both versions
+const TRACE_LIMIT = 2000;
+
+const species = () => {
+  const array = [1, 2];
+  array.constructor = {
+    [Symbol.species]: function(length) {
+      this.length = length;
+      this.tag = 'species';
+    }
+  };
+  return array;
+};
+
+// [label, () => a fresh `this`]
+const RECEIVERS = [
+  ['a dense array', () => [1, 2, 3]],
+  ['an empty array', () => []],
+  ['an array with holes', () => [1, , 3]],
+  ['an array of holes', () => [, , ,]],
+  ['an array with a far element', () => Object.assign([1, 2], { 5: 6 })],
+  ['nested arrays', () => [1, [2, [3, [4]]], , [5, , 6]]],
+  ['an array-like with holes', () => ({ length: 3, 0: 'a', 2: 'c' })],
+  ['an array-like with a string length', () => ({ length: '2', 0: 1, 1: 2 })],
+  ['an array-like with a negative length', () => ({ length: -1, 0: 1 })],
+  ['an array-like with a fractional length', () => ({ length: 2.7, 0: 1, 1: 2 })],
+  ['an array-like with a NaN length', () => ({ length: NaN, 0: 1 })],
+  ['an array-like with an Infinity length', () => ({ length: Infinity, 0: 1, get 1() { throw new RangeError('stop'); } })],
+  ['an array-like longer than 2^32', () => ({ length: 2 ** 32 + 1, 0: 'x', [2 ** 32]: 'far', get 3() { throw new RangeError('stop'); } })],
+  ['an arguments object', function() { return (function() { return arguments; })(1, undefined, 3); }],
+  ['a string', () => 'abc'],
+  ['a number', () => 42],
+  ['null', () => null],
+  ['undefined', () => undefined],
+  ['an Array subclass', () => { class Sub extends Array {} return Sub.from([1, 2, 3]); }],
+  ['an array with a species constructor', species],
+  ['an array with a non-object constructor', () => Object.assign([1, 2], { constructor: 5 })],
+  ['an array with a null species', () => Object.assign([1, 2], { constructor: { [Symbol.species]: null } })]
+];
+
+const concat = (a, b) => String(a) + String(b);
+
+// Argument lists each method is called with
+const ARGUMENTS = {
+  map: [[x => x * 2], [function(x, i) { return [this === undefined ? 'u' : typeof this, i]; }, 'T'], [5], []],
+  filter: [[x => x !== 2], [() => true], [null]],
+  forEach: [[x => x], [undefined]],
+  find: [[x => x === undefined], [x => x === 3], [() => false], ['nope']],
+  findIndex: [[x => x === undefined], [x => x === 3], [() => false], ['nope']],
+  findLast: [[x => x === undefined], [x => x === 3], [() => false], ['nope']],
+  findLastIndex: [[x => x === undefined], [x => x === 3], [() => false], ['nope']],
+  reduce: [[concat], [concat, 'init'], [(a) => a, undefined], [{}]],
+  reduceRight: [[concat], [concat, 'init'], [(a) => a, undefined], [{}]],
+  some: [[x => x === 3], [x => x === undefined], [function() { return this === 'T'; }, 'T'], [7]],
+  every: [[x => x !== 3], [x => x !== undefined], [null]],
+  flat: [[], [0], [1], [2], [Infinity], [-1], [NaN], ['2'], [undefined]],
+  flatMap: [[x => x], [x => [x, [x]]], [(x, i) => i], [function() { return this; }, 'T'], [null]],
+  includes: [[undefined], [3], [NaN], ['b', 1], [1, -10], [3, -1], [1, Infinity], [1, -Infinity], [2, '1']],
+  at: [[0], [-1], [1.5], [-0.5], [10], [-10], ['1'], [NaN], [Infinity], []],
+  fill: [[0], [0, 1], [0, -2], [0, 1, 2], [0, 0, -1], [0, NaN, Infinity], [0, 5, 1]],
+  copyWithin: [[0, 1], [1, 0], [0, -2], [1, 0, 2], [-1, 0], [0, 1, -1], [2, 0, Infinity], []],
+  toSorted: [[], [(a, b) => b - a], [() => 0], [5]],
+  toReversed: [[]],
+  toSpliced: [[], [1], [1, 1], [0, 0, 'x', 'y'], [-1, 10, 'z'], [NaN, -5], [Infinity, 1, 'end'], [1, undefined]],
+  with: [[0, 'w'], [-1, 'w'], [5, 'w'], [-10, 'w'], ['1', 'w'], [1.9, 'w']]
+};
+
+const myName = name => 'my' + name[0].toUpperCase() + name.slice(1);
+
+// Wrap `target` in a Proxy that logs every property operation
+function traced(target, log) {
+  if (target === null || typeof target !== 'object') {
+    return target;
+  }
+  
+  const record = (...entry) => {
+    log.push(entry.map(String));
+    if (log.length > TRACE_LIMIT) throw new EvalError('trace limit');
+  };
+  
+  return new Proxy(target, {
+    get(object, key, receiver) {
+      record('get', key);
+      return Reflect.get(object, key, receiver);
+    },
+    has(object, key) {
+      record('has', key);
+      return Reflect.has(object, key);
+    },
+    set(object, key, value, receiver) {
+      record('set', key);
+      return Reflect.set(object, key, value, receiver);
+    },
+    deleteProperty(object, key) {
+      record('delete', key);
+      return Reflect.deleteProperty(object, key);
+    },
+    defineProperty(object, key, descriptor) {
+      record('define', key);
+      return Reflect.defineProperty(object, key, descriptor);
+    }
+  });
+}
+
+// The result (or error type), the operations on `this` and the callback calls
+function observe(method, receiver, args) {
+  const log = [];
+  const callArgs = args.map(arg => (typeof arg !== 'function' ? arg : function(...values) {
+    log.push(['call', ...values.slice(0, 2).map(value => inspect(value, { depth: 0 }))]);
+    return arg.apply(this, values);
+  }));
+  
+  let outcome;
+  
+  try {
+    const result = method.apply(traced(receiver, log), callArgs);
+    outcome = ['return', inspect(result, { depth: 5 }), result?.constructor?.name];
+  } catch (error) {
+    outcome = ['throw', error?.constructor?.name];
+  }
+  
+  return { outcome, log };
+}
+
+describe('Array.prototype polyfills match native', () => {
+  before(() => installPolyfills());
+  after(() => uninstallPolyfills());
+  
+  for (const [name, argumentLists] of Object.entries(ARGUMENTS)) {
+    // Older engines lack some of them (toSorted, ...) to compare against
+    describe(name, { skip: !(name in Array.prototype) && `no native ${name} to compare with` }, () => {
+      it(`is installed as ${myName(name)} with the native length`, () => {
+        const polyfill = Array.prototype[myName(name)];
+        
+        assert.strictEqual(typeof polyfill, 'function');
+        assert.strictEqual(polyfill.length, Array.prototype[name].length);
+        assert.strictEqual(polyfill.name, name);
+      });
+      
+      for (const [label, createReceiver] of RECEIVERS) {
+        // Sorting 2^53 - 1 elements never finishes, natively either
+        if (name === 'toSorted' && /Infinity length|2\^32/.test(label)) continue;
+        
+        it(`on ${label}`, () => {
+          for (const args of argumentLists) {
+            const expected = observe(Array.prototype[name], createReceiver(), args);
+            const actual = observe(Array.prototype[myName(name)], createReceiver(), args);
+            
+            // Sort order of the comparisons is implementation-defined
+            if (name === 'toSorted') {
+              assert.deepStrictEqual(actual.outcome, expected.outcome, `args: ${inspect(args)}`);
+            } else {
+              assert.deepStrictEqual(actual, expected, `args: ${inspect(args)}`);
+            }
+          }
+        });
+      }
+    });
+  }
+});
+
+describe('Array polyfill spec details', () => {
+  before(() => installPolyfills());
+  after(() => uninstallPolyfills());
+  
+  it('skips holes in map, filter, forEach, reduce, some, every and flat', () => {
+    const calls = [];
+    const sparse = [1, , 3];
+    const mapped = sparse.myMap(x => { calls.push(x); return x * 2; });
+    
+    assert.deepStrictEqual(calls, [1, 3]);
+    assert.strictEqual(mapped.length, 3);
+    assert.strictEqual(1 in mapped, false);
+    assert.deepStrictEqual(sparse.myFilter(() => true), [1, 3]);
+    assert.deepStrictEqual([[1, , 2], , 3].myFlat(), [1, 2, 3]);
+  });
+  
+  it('reads holes as undefined in find, includes, at, with and the change-by-copy methods', () => {
+    const sparse = [1, , 3];
+    
+    assert.strictEqual(sparse.myFindIndex(x => x === undefined), 1);
+    assert.strictEqual(sparse.myIncludes(undefined), true);
+    assert.deepStrictEqual(sparse.myToReversed(), [3, undefined, 1]);
+    assert.deepStrictEqual(sparse.myWith(0, 0), [0, undefined, 3]);
+    assert.strictEqual(1 in sparse.myToSpliced(0, 0), true);
+  });
+  
+  it('applies ToLength to array-likes', () => {
+    assert.deepStrictEqual(Array.prototype.myMap.call({ length: '2', 0: 'a', 1: 'b', 2: 'c' }, x => x), ['a', 'b']);
+    assert.deepStrictEqual(Array.prototype.myMap.call({ length: -5, 0: 'a' }, x => x), []);
+    assert.deepStrictEqual(Array.prototype.myFilter.call({ length: 1.9, 0: 'a', 1: 'b' }, () => true), ['a']);
+    assert.strictEqual(Array.prototype.myIncludes.call({ length: NaN, 0: 1 }, 1), false);
+  });
+  
+  it('throws a TypeError for a null or undefined this', () => {
+    for (const name of Object.keys(ARGUMENTS)) {
+      assert.throws(() => Array.prototype[myName(name)].call(null, x => x), TypeError, name);
+      assert.throws(() => Array.prototype[myName(name)].call(undefined, x => x), TypeError, name);
+    }
+  });
+  
+  it('works on an arguments object through .call', () => {
+    (function() {
+      assert.deepStrictEqual(Array.prototype.myMap.call(arguments, x => x + 1), [2, 3]);
+      assert.deepStrictEqual(Array.prototype.myToReversed.call(arguments), [2, 1]);
+      assert.strictEqual(Array.prototype.myAt.call(arguments, -1), 2);
+    })(1, 2);
+  });
+  
+  it('creates map, filter, flat and flatMap results through Symbol.species', () => {
+    class Sub extends Array {}
+    const sub = Sub.from([1, 2, 3]);
+    
+    assert.ok(sub.myMap(x => x) instanceof Sub);
+    assert.ok(sub.myFilter(() => true) instanceof Sub);
+    assert.ok(sub.myFlat() instanceof Sub);
+    assert.ok(sub.myFlatMap(x => [x]) instanceof Sub);
+    // The change-by-copy methods ignore species
+    assert.strictEqual(sub.myToSorted().constructor, Array);
+    
+    assert.strictEqual(species().myMap(x => x).tag, 'species');
+    assert.throws(() => Object.assign([1], { constructor: { [Symbol.species]: {} } }).myMap(x => x), TypeError);
+  });
+});
+
+describe('Array statics', () => {
+  before(() => installPolyfills());
+  after(() => uninstallPolyfills());
+  
+  it('Array.from matches native on iterables, array-likes and subclasses', () => {
+    class Sub extends Array {}
+    const inputs = [[1, 2], 'ab', new Set([1, 1, 2]), { length: 2, 0: 'a' }, { length: '1', 0: 'x' }];
+    
+    for (const input of inputs) {
+      assert.deepStrictEqual(Array.myFrom(input), Array.from(input));
+      assert.deepStrictEqual(Array.myFrom(input, (x, i) => [x, i]), Array.from(input, (x, i) => [x, i]));
+      assert.ok(Array.myFrom.call(Sub, input) instanceof Sub);
+    }
+    
+    assert.throws(() => Array.myFrom(null), TypeError);
+    assert.throws(() => Array.myFrom([], 'nope'), TypeError);
+  });
+  
+  it('Array.from closes the iterator when the mapper throws', () => {
+    let closed = false;
+    const iterable = {
+      [Symbol.iterator]: () => ({
+        next: () => ({ value: 1, done: false }),
+        return: () => { closed = true; return {}; }
+      })
+    };
+    
+    assert.throws(() => Array.myFrom(iterable, () => { throw new RangeError('stop'); }), RangeError);
+    assert.strictEqual(closed, true);
+  });
+  
+  it('Array.of matches native', () => {
+    class Sub extends Array {}
+    
+    assert.deepStrictEqual(Array.myOf(3), Array.of(3));
+    assert.deepStrictEqual(Array.myOf(), Array.of());
+    assert.ok(Array.myOf.call(Sub, 1, 2) instanceof Sub);
+  });
+  
+  it('Object.groupBy and Map.groupBy group by the callback result', () => {
+    const grouped = Object.myGroupBy([1, 2, 3, 4], x => (x % 2 ? 'odd' : 'even'));
+    
+    assert.strictEqual(Object.getPrototypeOf(grouped), null);
+    assert.deepStrictEqual({ ...grouped }, { odd: [1, 3], even: [2, 4] });
+    
+    const key = {};
+    const map = Map.myGroupBy(['a', 'b'], (x, i) => (i === 0 ? key : 'rest'));
+    assert.deepStrictEqual([...map], [[key, ['a']], ['rest', ['b']]]);
+    
+    assert.throws(() => Object.myGroupBy([1], 'nope'), TypeError);
+  });
+});
@@ -0,0 +1,534 @@
+// Concurrency limits in mapLimit, mapLimitIterable, parallelLimit and TaskPool
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { mapLimit, mapLimitIterable, parallelLimit, TaskPool } = require('../async-control');
+const { FakeClock } = require('../clock');
+
+// A task that records how many tasks run at once
+function createTasks(specs) {
+  const stats = { running: 0, max: 0 };
+  const tasks = specs.map(({ value, ms, fail }) => async () => {
+    stats.running++;
+    stats.max = Math.max(stats.max, stats.running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    stats.running--;
+    
+    if (fail) throw new Error(value);
+    return value;
+  });
+  
+  return { tasks, stats };
+}
+
+describe('parallelLimit', () => {
+  it('runs at most `limit` tasks at once and keeps input order', async () => {
+    const { tasks, stats } = createTasks([
+      { value: 'a', ms: 20 },
+      { value: 'b', ms: 5 },
+      { value: 'c', ms: 1 },
+      { value: 'd', ms: 1 }
+    ]);
+    
+    assert.deepStrictEqual(await parallelLimit(tasks, 2), ['a', 'b', 'c', 'd']);
+    assert.strictEqual(stats.max, 2);
+  });
+  
+  it('rejects with the first error without leaving unhandled rejections', async () => {
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    
+    try {
+      const { tasks } = createTasks([
+        { value: 'first', ms: 1, fail: true },
+        { value: 'second', ms: 5, fail: true }
+      ]);
+      
+      await assert.rejects(parallelLimit(tasks, 2), { message: 'first' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.deepStrictEqual(unhandled, []);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+  });
+  
+  it('passes mapLimit options through', async () => {
+    const { tasks } = createTasks([{ value: 'x', ms: 1, fail: true }, { value: 'y', ms: 1 }]);
+    const results = await parallelLimit(tasks, 1, { mode: 'settle' });
+    
+    assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'fulfilled']);
+  });
+});
+
+describe('mapLimit', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+  
+  it('keeps at most `limit` calls in flight and results in input order', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await mapLimit([15, 1, 10, 1, 5, 1], 3, async (ms, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(ms);
+      running--;
+      return index;
+    });
+    
+    assert.deepStrictEqual(results, [0, 1, 2, 3, 4, 5]);
+    assert.strictEqual(maxRunning, 3);
+  });
+  
+  it('collect: runs everything, then rejects with the failures in input order', async () => {
+    const calls = [];
+    const promise = mapLimit([20, 1, 5, 1], 2, async (ms, index) => {
+      calls.push(index);
+      await delay(ms);
+      
+      if (index !== 1) throw new Error(`item ${index}`);
+      return index;
+    }, { mode: 'collect' });
+    
+    const error = await promise.then(() => assert.fail('should reject'), reason => reason);
+    
+    assert.ok(error instanceof AggregateError);
+    assert.strictEqual(error.message, '3 of 4 calls failed');
+    assert.deepStrictEqual(error.errors.map(reason => reason.message), ['item 0', 'item 2', 'item 3']);
+    assert.deepStrictEqual(calls.sort(), [0, 1, 2, 3]);
+  });
+  
+  it('collect: resolves like failFast when nothing fails', async () => {
+    assert.deepStrictEqual(await mapLimit([1, 2], 2, async x => x * 2, { mode: 'collect' }), [2, 4]);
+  });
+  
+  it('failFast: aborts the signal passed to the calls in flight and starts no more', async () => {
+    const signals = [];
+    const started = [];
+    const promise = mapLimit([0, 1, 2, 3], 2, async (item, index, signal) => {
+      started.push(index);
+      signals[index] = signal;
+      
+      if (index === 0) {
+        await delay(1);
+        throw new Error('first');
+      }
+      
+      await delay(30);
+      return index;
+    });
+    
+    await assert.rejects(promise, { message: 'first' });
+    assert.deepStrictEqual(started, [0, 1]);
+    assert.ok(signals[1].aborted);
+    assert.strictEqual(signals[1].reason.message, 'first');
+    
+    // The call still running doesn't start another one when it finishes
+    await delay(40);
+    assert.deepStrictEqual(started, [0, 1]);
+  });
+  
+  for (const mode of ['failFast', 'settle', 'collect']) {
+    it(`${mode}: rejects right away when the caller's signal aborts`, async () => {
+      const controller = new AbortController();
+      const signals = [];
+      const promise = mapLimit([1, 2, 3], 2, async (item, index, signal) => {
+        signals.push(signal);
+        await delay(50);
+        return item;
+      }, { mode, signal: controller.signal });
+      
+      await delay(5);
+      const abortedAt = Date.now();
+      controller.abort();
+      
+      await assert.rejects(promise, { name: 'AbortError' });
+      assert.ok(Date.now() - abortedAt < 40);
+      assert.ok(signals.every(signal => signal.aborted));
+    });
+  }
+  
+  it('rejects an already aborted signal without calling the function', async () => {
+    let called = false;
+    
+    await assert.rejects(mapLimit([1], 1, () => {
+      called = true;
+    }, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+    assert.ok(!called);
+  });
+  
+  it('rejects an invalid limit or mode', async () => {
+    await assert.rejects(mapLimit([], 0, x => x), TypeError);
+    await assert.rejects(mapLimit([], 1.5, x => x), TypeError);
+    await assert.rejects(mapLimit([], 1, x => x, { mode: 'nope' }), TypeError);
+  });
+});
+
+describe('mapLimitIterable', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+  
+  async function collect(iterable) {
+    const values = [];
+    
+    for await (const value of iterable) {
+      values.push(value);
+    }
+    
+    return values;
+  }
+  
+  it('yields in completion order, or in input order with `ordered`', async () => {
+    const fn = async ms => {
+      await delay(ms);
+      return ms;
+    };
+    
+    assert.deepStrictEqual(await collect(mapLimitIterable([30, 5, 15], 3, fn)), [5, 15, 30]);
+    assert.deepStrictEqual(await collect(mapLimitIterable([30, 5, 15], 3, fn, { ordered: true })), [30, 5, 15]);
+  });
+  
+  it('reads sync and async iterables and passes the index', async () => {
+    async function* letters() {
+      yield 'a';
+      yield 'b';
+    }
+    const fn = (item, index) => `${item}${index}`;
+    
+    assert.deepStrictEqual(await collect(mapLimitIterable(new Set(['x', 'y']), 2, fn, { ordered: true })), ['x0', 'y1']);
+    assert.deepStrictEqual(await collect(mapLimitIterable(letters(), 2, fn, { ordered: true })), ['a0', 'b1']);
+  });
+  
+  it('pulls from the source no faster than `limit` plus what was consumed', async () => {
+    const limit = 2;
+    let pulled = 0;
+    let consumed = 0;
+    let running = 0;
+    let maxRunning = 0;
+    
+    function* source() {
+      for (let i = 0; i < 10; i++) {
+        pulled++;
+        yield i;
+      }
+    }
+    
+    const fn = async item => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(1);
+      running--;
+      return item;
+    };
+    
+    for await (const value of mapLimitIterable(source(), limit, fn)) {
+      consumed++;
+      assert.ok(pulled <= consumed + limit, `pulled ${pulled} after consuming ${consumed} (${value})`);
+      // A slow consumer: finished calls wait for it instead of new ones starting
+      await delay(5);
+    }
+    
+    assert.strictEqual(consumed, 10);
+    assert.ok(maxRunning <= limit);
+  });
+  
+  it('closes the source and aborts in-flight calls on break', async () => {
+    let closed = false;
+    const signals = [];
+    
+    function* source() {
+      try {
+        for (let i = 0; ; i++) {
+          yield i;
+        }
+      } finally {
+        closed = true;
+      }
+    }
+    
+    const fn = async (item, index, signal) => {
+      signals.push(signal);
+      await delay(item === 0 ? 1 : 50);
+      return item;
+    };
+    
+    for await (const value of mapLimitIterable(source(), 3, fn)) {
+      assert.strictEqual(value, 0);
+      break;
+    }
+    
+    assert.ok(closed);
+    assert.ok(signals.every(signal => signal.aborted));
+  });
+  
+  it('throws the first failure it reaches and closes the source', async () => {
+    let closed = false;
+    
+    function* source() {
+      try {
+        yield* [1, 2, 3, 4];
+      } finally {
+        closed = true;
+      }
+    }
+    
+    const fn = async item => {
+      if (item === 2) throw new Error('two');
+      await delay(20);
+      return item;
+    };
+    
+    await assert.rejects(collect(mapLimitIterable(source(), 2, fn)), { message: 'two' });
+    assert.ok(closed);
+  });
+  
+  it('rethrows an error from the source', async () => {
+    async function* source() {
+      yield 1;
+      throw new Error('source failed');
+    }
+    
+    await assert.rejects(collect(mapLimitIterable(source(), 2, x => x)), { message: 'source failed' });
+  });
+  
+  it('rejects promptly on abort, even while the source is stuck', { timeout: 2000 }, async () => {
+    const controller = new AbortController();
+    
+    async function* source() {
+      yield 1;
+      await new Promise(() => {}); // Never produces another value
+    }
+    
+    const values = [];
+    const consume = (async () => {
+      for await (const value of mapLimitIterable(source(), 1, x => x, { signal: controller.signal })) {
+        values.push(value);
+      }
+    })();
+    
+    await delay(10);
+    const abortedAt = Date.now();
+    controller.abort();
+    
+    await assert.rejects(consume, { name: 'AbortError' });
+    assert.ok(Date.now() - abortedAt < 100);
+    assert.deepStrictEqual(values, [1]);
+  });
+  
+  it('rejects an invalid limit or an aborted signal before reading the source', async () => {
+    let pulled = false;
+    const source = { [Symbol.iterator]: () => { pulled = true; return [][Symbol.iterator](); } };
+    
+    await assert.rejects(collect(mapLimitIterable(source, 0, x => x)), TypeError);
+    await assert.rejects(collect(mapLimitIterable(source, 1, x => x, { signal: AbortSignal.abort() })), { name: 'AbortError' });
+    assert.ok(!pulled);
+  });
+});
+
+describe('TaskPool', () => {
+  // Let queued promise callbacks (and the pool's workers) run
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+  
+  function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    
+    return { promise, resolve, reject };
+  }
+  
+  it('runs higher priorities first, first in first out within one', async () => {
+    const pool = new TaskPool({ concurrency: 1 });
+    const order = [];
+    const add = (name, priority) => pool.add(() => order.push(name), { priority });
+    
+    pool.pause();
+    const done = [add('low', -1), add('normal 1', 0), add('high 1', 5), add('normal 2'), add('high 2', 5)];
+    pool.resume();
+    await Promise.all(done);
+    
+    assert.deepStrictEqual(order, ['high 1', 'high 2', 'normal 1', 'normal 2', 'low']);
+  });
+  
+  it('starts more tasks right away when the concurrency goes up', async () => {
+    const pool = new TaskPool({ concurrency: 1 });
+    const gate = deferred();
+    
+    for (let i = 0; i < 4; i++) {
+      pool.add(() => gate.promise);
+    }
+    await flush();
+    assert.deepStrictEqual([pool.pending(), pool.size()], [1, 3]);
+    
+    pool.setConcurrency(3);
+    await flush();
+    assert.deepStrictEqual([pool.pending(), pool.size()], [3, 1]);
+    
+    gate.resolve();
+    await pool.onIdle();
+  });
+  
+  it('runs fewer tasks once the running ones settle when the concurrency goes down', async () => {
+    const pool = new TaskPool({ concurrency: 3 });
+    const gates = Array.from({ length: 6 }, () => deferred());
+    let running = 0;
+    let maxAfterLowering = 0;
+    let lowered = false;
+    
+    gates.forEach(gate => pool.add(async () => {
+      running++;
+      if (lowered) maxAfterLowering = Math.max(maxAfterLowering, running);
+      await gate.promise;
+      running--;
+    }));
+    await flush();
+    assert.strictEqual(pool.pending(), 3);
+    
+    pool.setConcurrency(1);
+    lowered = true;
+    
+    for (const gate of gates) {
+      gate.resolve();
+      await flush();
+    }
+    await pool.onIdle();
+    
+    assert.strictEqual(maxAfterLowering, 1);
+  });
+  
+  it('starts nothing while paused; running tasks carry on', async () => {
+    const pool = new TaskPool({ concurrency: 2 });
+    const gate = deferred();
+    const first = pool.add(() => gate.promise.then(() => 'first'));
+    
+    pool.pause();
+    const second = pool.add(() => 'second');
+    await flush();
+    assert.deepStrictEqual([pool.pending(), pool.size()], [1, 1]);
+    
+    gate.resolve();
+    assert.strictEqual(await first, 'first');
+    assert.strictEqual(pool.size(), 1);
+    
+    pool.resume();
+    assert.strictEqual(await second, 'second');
+  });
+  
+  it('resolves onEmpty once the queue drains and onIdle once everything settled', async () => {
+    const pool = new TaskPool({ concurrency: 1 });
+    const gates = [deferred(), deferred()];
+    const events = [];
+    
+    gates.forEach(gate => pool.add(() => gate.promise));
+    pool.onEmpty().then(() => events.push('empty'));
+    pool.onIdle().then(() => events.push('idle'));
+    
+    gates[0].resolve();
+    await flush();
+    assert.deepStrictEqual(events, ['empty']);
+    
+    gates[1].resolve();
+    await flush();
+    assert.deepStrictEqual(events, ['empty', 'idle']);
+    
+    // An idle pool resolves both right away
+    assert.strictEqual(await Promise.race([pool.onIdle().then(() => 'idle'), flush()]), 'idle');
+  });
+  
+  it('times a task out with a TimeoutError and frees its slot', async () => {
+    const clock = new FakeClock();
+    const pool = new TaskPool({ concurrency: 1, timeout: 100, clock });
+    let timedOutSignal;
+    
+    const slow = pool.add(signal => {
+      timedOutSignal = signal;
+      return new Promise(() => {});
+    });
+    const next = pool.add(() => 'next');
+    const longer = pool.add(() => new Promise(resolve => clock.setTimeout(resolve, 150, 'longer')), { timeout: 200 });
+    const timedOut = assert.rejects(slow, { name: 'TimeoutError', message: 'Task timed out after 100ms' });
+    
+    await clock.tickAsync(99);
+    assert.strictEqual(pool.pending(), 1);
+    
+    await clock.tickAsync(1);
+    await timedOut;
+    assert.ok(timedOutSignal.aborted);
+    assert.strictEqual(await next, 'next');
+    
+    await clock.tickAsync(150);
+    assert.strictEqual(await longer, 'longer');
+    assert.strictEqual(clock.size(), 0);
+  });
+  
+  it('drops a queued task when its signal aborts', async () => {
+    const pool = new TaskPool({ concurrency: 1 });
+    const gate = deferred();
+    const controller = new AbortController();
+    let ran = false;
+    
+    pool.add(() => gate.promise);
+    const queued = pool.add(() => {
+      ran = true;
+    }, { signal: controller.signal });
+    
+    controller.abort();
+    await assert.rejects(queued, { name: 'AbortError' });
+    assert.strictEqual(pool.size(), 0);
+    
+    gate.resolve();
+    await pool.onIdle();
+    assert.ok(!ran);
+  });
+  
+  it('aborts a running task and frees its slot', async () => {
+    const pool = new TaskPool({ concurrency: 1 });
+    const controller = new AbortController();
+    let taskSignal;
+    
+    const running = pool.add(signal => {
+      taskSignal = signal;
+      return new Promise(() => {});
+    }, { signal: controller.signal });
+    const next = pool.add(() => 'next');
+    await flush();
+    
+    controller.abort(new Error('stop'));
+    await assert.rejects(running, { message: 'stop' });
+    assert.ok(taskSignal.aborted);
+    assert.strictEqual(await next, 'next');
+    
+    await assert.rejects(pool.add(() => {}, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+  });
+  
+  it('clear() rejects the queued tasks and lets running ones finish', async () => {
+    const pool = new TaskPool({ concurrency: 1 });
+    const gate = deferred();
+    const running = pool.add(() => gate.promise.then(() => 'done'));
+    const queued = [pool.add(() => 'a'), pool.add(() => 'b')];
+    
+    pool.clear();
+    
+    await Promise.all(queued.map(task => assert.rejects(task, { name: 'AbortError' })));
+    gate.resolve();
+    assert.strictEqual(await running, 'done');
+    assert.strictEqual(pool.size(), 0);
+  });
+  
+  it('passes a task\'s result or error through', async () => {
+    const pool = new TaskPool();
+    
+    assert.strictEqual(await pool.add(async () => 42), 42);
+    await assert.rejects(pool.add(() => {
+      throw new RangeError('sync');
+    }), RangeError);
+  });
+  
+  it('rejects invalid tasks and concurrency values', () => {
+    const pool = new TaskPool();
+    
+    assert.throws(() => pool.add('task'), TypeError);
+    assert.throws(() => pool.setConcurrency(0), TypeError);
+    assert.throws(() => new TaskPool({ concurrency: 1.5 }), TypeError);
+  });
+});
@@ -0,0 +1,70 @@
+// memoizeWithExpiration, on a FakeClock
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { memoizeWithExpiration } = require('../cache');
+const { FakeClock } = require('../clock');
+
+describe('memoizeWithExpiration', () => {
+  function createMemoized(ttl) {
+    const clock = new FakeClock();
+    const calls = [];
+    const memoized = memoizeWithExpiration((a, b) => {
+      calls.push([clock.now(), a, b]);
+      return a + b;
+    }, ttl, { clock });
+    
+    return { clock, calls, memoized };
+  }
+  
+  it('serves a cached result until `ttl` has passed', () => {
+    const { clock, calls, memoized } = createMemoized(1000);
+    
+    assert.strictEqual(memoized(1, 2), 3);
+    clock.tick(999);
+    assert.strictEqual(memoized(1, 2), 3);
+    assert.deepStrictEqual(calls, [[0, 1, 2]]);
+    
+    clock.tick(1);
+    assert.strictEqual(memoized(1, 2), 3);
+    assert.deepStrictEqual(calls, [[0, 1, 2], [1000, 1, 2]]);
+  });
+  
+  it('times each entry from when it was computed', () => {
+    const { clock, calls, memoized } = createMemoized(1000);
+    
+    memoized(1, 2);
+    clock.tick(600);
+    memoized(2, 3);
+    clock.tick(600);
+    memoized(1, 2);
+    memoized(2, 3);
+    
+    assert.deepStrictEqual(calls, [[0, 1, 2], [600, 2, 3], [1200, 1, 2]]);
+  });
+  
+  it('restarts the ttl after recomputing an expired entry', () => {
+    const { clock, calls, memoized } = createMemoized(100);
+    
+    memoized(1, 1);
+    clock.tick(150);
+    memoized(1, 1);
+    clock.tick(50);
+    memoized(1, 1);
+    
+    assert.deepStrictEqual(calls.map(([time]) => time), [0, 150]);
+  });
+  
+  it('defaults to a one-minute ttl', () => {
+    const clock = new FakeClock();
+    let calls = 0;
+    const memoized = memoizeWithExpiration(() => ++calls, undefined, { clock });
+    
+    memoized();
+    clock.tick(59999);
+    memoized();
+    clock.tick(1);
+    memoized();
+    
+    assert.strictEqual(calls, 2);
+  });
+});
@@ -0,0 +1,241 @@
+// FakeClock, the test clock every timer-based utility accepts
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { FakeClock } = require('../clock');
+
+describe('FakeClock', () => {
+  it('starts at `now`, given as a number or a Date', () => {
+    assert.strictEqual(new FakeClock().now(), 0);
+    assert.strictEqual(new FakeClock({ now: 500 }).now(), 500);
+    assert.strictEqual(new FakeClock({ now: new Date(Date.UTC(2024, 0, 1)) }).now(), Date.UTC(2024, 0, 1));
+  });
+  
+  it('works with its methods detached', () => {
+    const clock = new FakeClock();
+    const { now, setTimeout, clearTimeout } = clock;
+    const log = [];
+    
+    setTimeout(() => log.push('kept'), 10);
+    clearTimeout(setTimeout(() => log.push('cleared'), 10));
+    clock.tick(10);
+    
+    assert.deepStrictEqual(log, ['kept']);
+    assert.strictEqual(now(), 10);
+  });
+  
+  it('rejects a callback that isn\'t a function, and treats a bad delay as 0', () => {
+    const clock = new FakeClock();
+    const times = [];
+    
+    assert.throws(() => clock.setTimeout('code', 10), TypeError);
+    clock.setTimeout(() => times.push(clock.now()), -5);
+    clock.setTimeout(() => times.push(clock.now()), 'soon');
+    clock.tick(0);
+    
+    assert.deepStrictEqual(times, [0, 0]);
+  });
+  
+  describe('tick', () => {
+    it('runs due timers in time order, and same-time timers in the order set', () => {
+      const clock = new FakeClock();
+      const log = [];
+      
+      clock.setTimeout(() => log.push(['c', clock.now()]), 30);
+      clock.setTimeout(() => log.push(['a', clock.now()]), 10);
+      clock.setTimeout(() => log.push(['b1', clock.now()]), 20);
+      clock.setTimeout(() => log.push(['b2', clock.now()]), 20);
+      clock.setTimeout(() => log.push(['later', clock.now()]), 100);
+      
+      assert.strictEqual(clock.tick(50), 50);
+      assert.deepStrictEqual(log, [['a', 10], ['b1', 20], ['b2', 20], ['c', 30]]);
+      assert.strictEqual(clock.size(), 1);
+    });
+    
+    it('passes the extra setTimeout arguments to the callback', () => {
+      const clock = new FakeClock();
+      let received;
+      
+      clock.setTimeout((...args) => {
+        received = args;
+      }, 10, 'a', 'b');
+      clock.tick(10);
+      
+      assert.deepStrictEqual(received, ['a', 'b']);
+    });
+    
+    it('runs timers set by a timer if they come due within the tick', () => {
+      const clock = new FakeClock();
+      const log = [];
+      
+      clock.setTimeout(() => {
+        log.push(['outer', clock.now()]);
+        clock.setTimeout(() => log.push(['now', clock.now()]), 0);
+        clock.setTimeout(() => log.push(['inner', clock.now()]), 20);
+        clock.setTimeout(() => log.push(['next tick', clock.now()]), 50);
+      }, 10);
+      
+      clock.tick(40);
+      assert.deepStrictEqual(log, [['outer', 10], ['now', 10], ['inner', 30]]);
+      
+      clock.tick(20);
+      assert.deepStrictEqual(log.at(-1), ['next tick', 60]);
+    });
+    
+    it('skips a timer cleared by an earlier one in the same tick', () => {
+      const clock = new FakeClock();
+      const log = [];
+      let second;
+      
+      clock.setTimeout(() => clock.clearTimeout(second), 10);
+      second = clock.setTimeout(() => log.push('second'), 20);
+      clock.tick(30);
+      
+      assert.deepStrictEqual(log, []);
+      assert.strictEqual(clock.size(), 0);
+    });
+    
+    it('does not run promise callbacks between timers', async () => {
+      const clock = new FakeClock();
+      const times = [];
+      
+      clock.setTimeout(() => {
+        Promise.resolve().then(() => clock.setTimeout(() => times.push(clock.now()), 10));
+      }, 10);
+      
+      clock.tick(100);
+      await Promise.resolve();
+      
+      // The timer was set after the tick, from time 100
+      clock.tick(100);
+      assert.deepStrictEqual(times, [110]);
+    });
+  });
+  
+  describe('advanceToNextTimer', () => {
+    it('jumps to the next timer and runs only that one', () => {
+      const clock = new FakeClock();
+      const log = [];
+      
+      clock.setTimeout(() => log.push('a'), 30);
+      clock.setTimeout(() => log.push('b'), 30);
+      clock.setTimeout(() => log.push('c'), 70);
+      
+      assert.strictEqual(clock.advanceToNextTimer(), 30);
+      assert.deepStrictEqual(log, ['a']);
+      assert.strictEqual(clock.advanceToNextTimer(), 30);
+      assert.strictEqual(clock.advanceToNextTimer(), 70);
+      assert.deepStrictEqual(log, ['a', 'b', 'c']);
+    });
+    
+    it('leaves the time alone when no timer is set', () => {
+      const clock = new FakeClock({ now: 5 });
+      
+      assert.strictEqual(clock.advanceToNextTimer(), 5);
+    });
+  });
+  
+  describe('runAll', () => {
+    it('runs every timer, including the ones they set, and returns the time', () => {
+      const clock = new FakeClock();
+      const times = [];
+      
+      const chain = remaining => {
+        times.push(clock.now());
+        if (remaining > 0) {
+          clock.setTimeout(chain, 100, remaining - 1);
+        }
+      };
+      clock.setTimeout(chain, 100, 3);
+      
+      assert.strictEqual(clock.runAll(), 400);
+      assert.deepStrictEqual(times, [100, 200, 300, 400]);
+      assert.strictEqual(clock.size(), 0);
+    });
+    
+    it('gives up on a timer loop after loopLimit timers', () => {
+      const clock = new FakeClock({ loopLimit: 10 });
+      let runs = 0;
+      
+      const forever = () => {
+        runs++;
+        clock.setTimeout(forever, 100);
+      };
+      clock.setTimeout(forever, 100);
+      
+      assert.throws(() => clock.runAll(), {
+        message: 'Aborting after running 10 timers, assuming an infinite loop'
+      });
+      assert.strictEqual(runs, 10);
+      assert.strictEqual(clock.now(), 1000);
+    });
+  });
+  
+  describe('async variants', () => {
+    // A timer whose callback awaits before setting the next one
+    function awaitingChain(clock, times, count) {
+      const step = async remaining => {
+        times.push(clock.now());
+        await Promise.resolve();
+        await null;
+        if (remaining > 1) {
+          clock.setTimeout(step, 100, remaining - 1);
+        }
+      };
+      clock.setTimeout(step, 100, count);
+    }
+    
+    it('tickAsync sees timers set after an await', async () => {
+      const clock = new FakeClock();
+      const times = [];
+      
+      awaitingChain(clock, times, 3);
+      
+      assert.strictEqual(await clock.tickAsync(250), 250);
+      assert.deepStrictEqual(times, [100, 200]);
+    });
+    
+    it('tickAsync runs promise callbacks before the first timer', async () => {
+      const clock = new FakeClock();
+      const times = [];
+      
+      Promise.resolve().then(() => clock.setTimeout(() => times.push(clock.now()), 10));
+      await clock.tickAsync(10);
+      
+      assert.deepStrictEqual(times, [10]);
+    });
+    
+    it('advanceToNextTimerAsync runs one timer and what it awaits', async () => {
+      const clock = new FakeClock();
+      const times = [];
+      
+      awaitingChain(clock, times, 3);
+      
+      assert.strictEqual(await clock.advanceToNextTimerAsync(), 100);
+      assert.deepStrictEqual(times, [100]);
+      assert.strictEqual(clock.size(), 1);
+    });
+    
+    it('runAllAsync follows the chain to the end', async () => {
+      const clock = new FakeClock();
+      const times = [];
+      
+      awaitingChain(clock, times, 4);
+      
+      assert.strictEqual(await clock.runAllAsync(), 400);
+      assert.deepStrictEqual(times, [100, 200, 300, 400]);
+    });
+    
+    it('runAllAsync gives up on a timer loop after loopLimit timers', async () => {
+      const clock = new FakeClock({ loopLimit: 5 });
+      
+      const forever = async () => {
+        await null;
+        clock.setTimeout(forever, 100);
+      };
+      clock.setTimeout(forever, 100);
+      
+      await assert.rejects(clock.runAllAsync(), { message: /^Aborting after running 5 timers/ });
+      assert.strictEqual(clock.now(), 500);
+    });
+  });
+});
@@ -0,0 +1,346 @@
+// MyEventTarget, MyEvent and MyCustomEvent, and the bridge to EventEmitter
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { getEventListeners } = require('node:events');
+const { installPolyfills, uninstallPolyfills } = require('../installer');
+const { EventEmitter } = require('../events');
+const {
+  MyEvent,
+  MyCustomEvent,
+  MyEventTarget,
+  eventTargetFromEmitter,
+  emitterFromEventTarget
+} = require('../event-target');
+
+// Swap globalThis.reportError for one that collects the errors
+function captureReportedErrors(fn) {
+  const errors = [];
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'reportError');
+  globalThis.reportError = error => errors.push(error);
+  
+  try {
+    fn();
+  } finally {
+    if (descriptor) {
+      Object.defineProperty(globalThis, 'reportError', descriptor);
+    } else {
+      delete globalThis.reportError;
+    }
+  }
+  
+  return errors;
+}
+
+describe('MyEventTarget', () => {
+  describe('addEventListener / removeEventListener', () => {
+    it('adds the same listener once per capture flag', () => {
+      const target = new MyEventTarget();
+      const log = [];
+      const listener = () => log.push('listener');
+      
+      target.addEventListener('a', listener);
+      target.addEventListener('a', listener);
+      target.addEventListener('a', listener, true);
+      target.dispatchEvent(new MyEvent('a'));
+      assert.deepStrictEqual(log, ['listener', 'listener']);
+      
+      target.removeEventListener('a', listener);
+      log.length = 0;
+      target.dispatchEvent(new MyEvent('a'));
+      assert.deepStrictEqual(log, ['listener']);
+    });
+    
+    it('skips listeners removed during a dispatch and those added during it', () => {
+      const target = new MyEventTarget();
+      const log = [];
+      const second = () => log.push('second');
+      
+      target.addEventListener('b', () => {
+        target.removeEventListener('b', second);
+        target.addEventListener('b', () => log.push('late'));
+      });
+      target.addEventListener('b', second);
+      target.dispatchEvent(new MyEvent('b'));
+      
+      assert.deepStrictEqual(log, []);
+    });
+    
+    it('runs capturing listeners first', () => {
+      const target = new MyEventTarget();
+      const log = [];
+      
+      target.addEventListener('c', () => log.push('bubble'));
+      target.addEventListener('c', () => log.push('capture'), { capture: true });
+      target.dispatchEvent(new MyEvent('c'));
+      
+      assert.deepStrictEqual(log, ['capture', 'bubble']);
+    });
+    
+    it('removes a once listener before calling it', () => {
+      const target = new MyEventTarget();
+      let calls = 0;
+      
+      target.addEventListener('d', () => {
+        calls++;
+        target.dispatchEvent(new MyEvent('d'));
+      }, { once: true });
+      target.dispatchEvent(new MyEvent('d'));
+      target.dispatchEvent(new MyEvent('d'));
+      
+      assert.strictEqual(calls, 1);
+    });
+  });
+  
+  describe('signal', () => {
+    it('ignores a listener added with an aborted signal', () => {
+      const target = new MyEventTarget();
+      
+      target.addEventListener('q', () => {}, { signal: AbortSignal.abort() });
+      
+      assert.strictEqual(emitterFromEventTarget(target).listenerCount('q'), 0);
+    });
+    
+    it('removes the listener when the signal aborts', () => {
+      const target = new MyEventTarget();
+      const controller = new AbortController();
+      
+      target.addEventListener('q', () => assert.fail('should not run'), { signal: controller.signal });
+      controller.abort();
+      target.dispatchEvent(new MyEvent('q'));
+      
+      assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+    
+    it('detaches from the signal when the listener is removed', () => {
+      const target = new MyEventTarget();
+      const controller = new AbortController();
+      const listener = () => {};
+      
+      for (let i = 0; i < 3; i++) {
+        target.addEventListener('q', listener, { signal: controller.signal });
+        target.removeEventListener('q', listener);
+      }
+      
+      assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+    
+    it('detaches from the signal after a once listener runs', () => {
+      const target = new MyEventTarget();
+      const controller = new AbortController();
+      
+      target.addEventListener('q', () => {}, { once: true, signal: controller.signal });
+      target.dispatchEvent(new MyEvent('q'));
+      
+      assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+  });
+  
+  describe('dispatchEvent', () => {
+    it('sets target, currentTarget, eventPhase and this during the dispatch', () => {
+      const target = new MyEventTarget();
+      const event = new MyEvent('d');
+      let seen;
+      
+      target.addEventListener('d', function(e) {
+        seen = [this, e.target, e.currentTarget, e.eventPhase, e.composedPath()];
+      });
+      target.dispatchEvent(event);
+      
+      assert.deepStrictEqual(seen, [target, target, target, MyEvent.AT_TARGET, [target]]);
+      assert.strictEqual(event.target, target);
+      assert.strictEqual(event.currentTarget, null);
+      assert.strictEqual(event.eventPhase, MyEvent.NONE);
+    });
+    
+    it('throws an InvalidStateError for an event that is being dispatched', () => {
+      const target = new MyEventTarget();
+      const event = new MyEvent('c');
+      let thrown;
+      
+      target.addEventListener('c', () => {
+        try {
+          target.dispatchEvent(event);
+        } catch (error) {
+          thrown = error;
+        }
+      });
+      target.dispatchEvent(event);
+      
+      assert.ok(thrown instanceof DOMException);
+      assert.strictEqual(thrown.name, 'InvalidStateError');
+      // Dispatching it again afterwards is fine
+      assert.strictEqual(target.dispatchEvent(event), true);
+    });
+    
+    it('throws a plain InvalidStateError where there is no DOMException', () => {
+      const target = new MyEventTarget();
+      const event = new MyEvent('c');
+      const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'DOMException');
+      let thrown;
+      
+      target.addEventListener('c', () => {
+        try {
+          target.dispatchEvent(event);
+        } catch (error) {
+          thrown = error;
+        }
+      });
+      
+      delete globalThis.DOMException;
+      
+      try {
+        target.dispatchEvent(event);
+      } finally {
+        Object.defineProperty(globalThis, 'DOMException', descriptor);
+      }
+      
+      assert.ok(thrown instanceof Error);
+      assert.ok(!(thrown instanceof DOMException));
+      assert.strictEqual(thrown.name, 'InvalidStateError');
+      assert.strictEqual(thrown.message, 'The event is already being dispatched');
+    });
+    
+    it('reports listener errors and keeps dispatching', () => {
+      const target = new MyEventTarget();
+      const log = [];
+      
+      target.addEventListener('e', () => {
+        throw new Error('boom');
+      });
+      target.addEventListener('e', { handleEvent: 1 });
+      target.addEventListener('e', () => log.push('after'));
+      
+      const errors = captureReportedErrors(() => target.dispatchEvent(new MyEvent('e')));
+      
+      assert.deepStrictEqual(log, ['after']);
+      assert.deepStrictEqual(errors.map(error => error.constructor), [Error, TypeError]);
+    });
+    
+    it('returns false only when a cancelable event is canceled', () => {
+      const target = new MyEventTarget();
+      
+      target.addEventListener('p', event => event.preventDefault());
+      target.addEventListener('passive', event => event.preventDefault(), { passive: true });
+      
+      assert.strictEqual(target.dispatchEvent(new MyEvent('p')), true);
+      assert.strictEqual(target.dispatchEvent(new MyEvent('p', { cancelable: true })), false);
+      assert.strictEqual(target.dispatchEvent(new MyEvent('passive', { cancelable: true })), true);
+    });
+    
+    it('stops the remaining listeners on stopImmediatePropagation', () => {
+      const target = new MyEventTarget();
+      const log = [];
+      
+      target.addEventListener('s', event => {
+        log.push('first');
+        event.stopImmediatePropagation();
+      });
+      target.addEventListener('s', () => log.push('second'));
+      target.dispatchEvent(new MyEvent('s'));
+      
+      assert.deepStrictEqual(log, ['first']);
+    });
+    
+    it('rejects anything but an event', () => {
+      assert.throws(() => new MyEventTarget().dispatchEvent({ type: 'x' }), TypeError);
+    });
+  });
+  
+  describe('events', () => {
+    it('requires a type', () => {
+      assert.throws(() => new MyEvent(), TypeError);
+    });
+    
+    it('defaults CustomEvent detail to null', () => {
+      assert.strictEqual(new MyCustomEvent('x').detail, null);
+      assert.strictEqual(new MyCustomEvent('x', { detail: 5 }).detail, 5);
+    });
+  });
+  
+  describe('EventEmitter bridge', () => {
+    it('exposes DOM listeners to the emitter', () => {
+      const target = new MyEventTarget();
+      const emitter = emitterFromEventTarget(target);
+      const listener = () => {};
+      
+      target.addEventListener('z', listener);
+      assert.deepStrictEqual(emitter.listeners('z'), [listener]);
+      
+      emitter.off('z', listener);
+      assert.strictEqual(emitter.listenerCount('z'), 0);
+    });
+    
+    it('delivers emit() calls as CustomEvents', () => {
+      const emitter = new EventEmitter();
+      const target = eventTargetFromEmitter(emitter);
+      let detail;
+      
+      target.addEventListener('error', event => {
+        detail = event.detail;
+      }, { once: true });
+      emitter.emit('error', 5);
+      
+      assert.strictEqual(detail, 5);
+      assert.strictEqual(emitter.listenerCount('error'), 0);
+    });
+    
+    it('keeps the emitter\'s newListener/removeListener notices from DOM listeners', () => {
+      const target = new MyEventTarget();
+      const seen = [];
+      const record = event => seen.push([event.type, event.detail]);
+      const click = () => {};
+      
+      target.addEventListener('newListener', record);
+      target.addEventListener('removeListener', record);
+      target.addEventListener('click', click);
+      target.removeEventListener('click', click);
+      assert.deepStrictEqual(seen, []);
+      
+      // Dispatched events of those types still arrive
+      target.dispatchEvent(new MyCustomEvent('newListener', { detail: 'dispatched' }));
+      assert.deepStrictEqual(seen, [['newListener', 'dispatched']]);
+    });
+    
+    it('only unwraps its own targets', () => {
+      assert.throws(() => emitterFromEventTarget(new EventTarget()), TypeError);
+    });
+  });
+  
+  describe('install', () => {
+    afterEach(() => uninstallPolyfills());
+    
+    it('keeps the classes\' own names', () => {
+      installPolyfills({ realNames: true, force: true });
+      
+      assert.strictEqual(MyEvent.name, 'MyEvent');
+      assert.strictEqual(MyCustomEvent.name, 'MyCustomEvent');
+      assert.strictEqual(MyEventTarget.name, 'MyEventTarget');
+      assert.strictEqual(new MyEventTarget().constructor.name, 'MyEventTarget');
+    });
+    
+    it('matches the native constructor lengths', () => {
+      assert.strictEqual(MyEvent.length, Event.length);
+      assert.strictEqual(MyCustomEvent.length, CustomEvent.length);
+      assert.strictEqual(MyEventTarget.length, EventTarget.length);
+    });
+    
+    it('installs under the My* names and only replaces natives when forced', () => {
+      const NativeEventTarget = globalThis.EventTarget;
+      
+      installPolyfills();
+      assert.strictEqual(globalThis.MyEventTarget, MyEventTarget);
+      assert.strictEqual(globalThis.MyCustomEvent, MyCustomEvent);
+      uninstallPolyfills();
+      assert.strictEqual(globalThis.MyEventTarget, undefined);
+      
+      installPolyfills({ realNames: true });
+      assert.strictEqual(globalThis.EventTarget, NativeEventTarget);
+      uninstallPolyfills();
+      
+      installPolyfills({ realNames: true, force: true });
+      assert.strictEqual(globalThis.EventTarget, MyEventTarget);
+      uninstallPolyfills();
+      assert.strictEqual(globalThis.EventTarget, NativeEventTarget);
+    });
+  });
+});
@@ -0,0 +1,784 @@
+// A subset of Node's own EventEmitter tests (test/parallel/test-event-emitter-*),
+// ported to node:test. Each of those runs against node:events too, so a test
+// that passes there but fails for the polyfill is a parity bug, not a
+// mistake in the test. The polyfill's own additions are tested at the end.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const NodeEventEmitter = require('node:events');
+const { EventEmitter } = require('../events');
+
+const IMPLEMENTATIONS = [
+  ['node:events', NodeEventEmitter],
+  ['polyfill', EventEmitter]
+];
+
+// Collect what process.emitWarning receives while `fn` runs
+function captureWarnings(fn) {
+  const warnings = [];
+  const originalEmitWarning = process.emitWarning;
+  process.emitWarning = warning => warnings.push(warning);
+  
+  try {
+    fn();
+  } finally {
+    process.emitWarning = originalEmitWarning;
+  }
+  
+  return warnings;
+}
+
+for (const [label, Emitter] of IMPLEMENTATIONS) {
+  describe(`EventEmitter (${label})`, () => {
+    describe('add-listeners', () => {
+      it('emits newListener before adding, with the event and listener', () => {
+        const emitter = new Emitter();
+        const events = [];
+        const hello = (a, b) => events.push(['hello', a, b]);
+        
+        emitter.on('newListener', (event, listener) => {
+          // The listener isn't there yet
+          events.push(['newListener', event, listener === hello, emitter.listenerCount(event)]);
+        });
+        emitter.on('hello', hello);
+        emitter.emit('hello', 'a', 'b');
+        
+        assert.deepStrictEqual(events, [['newListener', 'hello', true, 0], ['hello', 'a', 'b']]);
+      });
+      
+      it('lets a newListener listener add ahead of the new one', () => {
+        const emitter = new Emitter();
+        const order = [];
+        const listen1 = () => order.push(1);
+        const listen2 = () => order.push(2);
+        
+        emitter.once('newListener', (name) => {
+          if (name === 'foo') {
+            emitter.on('foo', listen2);
+          }
+        });
+        emitter.on('foo', listen1);
+        emitter.emit('foo');
+        
+        assert.deepStrictEqual(order, [2, 1]);
+      });
+      
+      it('calls listeners with the emitter as this', () => {
+        const emitter = new Emitter();
+        let self;
+        
+        emitter.on('foo', function() {
+          self = this;
+        });
+        emitter.emit('foo');
+        
+        assert.strictEqual(self, emitter);
+      });
+      
+      it('returns the emitter from on, once, off and prepend*', () => {
+        const emitter = new Emitter();
+        const listener = () => {};
+        
+        assert.strictEqual(emitter.on('a', listener), emitter);
+        assert.strictEqual(emitter.once('a', listener), emitter);
+        assert.strictEqual(emitter.prependListener('a', listener), emitter);
+        assert.strictEqual(emitter.prependOnceListener('a', listener), emitter);
+        assert.strictEqual(emitter.off('a', listener), emitter);
+        assert.strictEqual(emitter.removeAllListeners(), emitter);
+      });
+      
+      it('rejects a listener that is not a function', () => {
+        const emitter = new Emitter();
+        
+        for (const listener of [null, 'x', {}]) {
+          assert.throws(() => emitter.on('foo', listener), TypeError);
+          assert.throws(() => emitter.once('foo', listener), TypeError);
+        }
+      });
+    });
+    
+    describe('remove-listeners', () => {
+      it('removes the most recently added copy of a listener', () => {
+        const emitter = new Emitter();
+        const calls = [];
+        const a = () => calls.push('a');
+        const b = () => calls.push('b');
+        
+        emitter.on('x', a);
+        emitter.on('x', b);
+        emitter.on('x', a);
+        emitter.off('x', a);
+        emitter.emit('x');
+        
+        assert.deepStrictEqual(calls, ['a', 'b']);
+        assert.deepStrictEqual(emitter.listeners('x'), [a, b]);
+      });
+      
+      it('emits removeListener after removing', () => {
+        const emitter = new Emitter();
+        const listener = () => {};
+        const removed = [];
+        
+        emitter.on('hello', listener);
+        emitter.on('removeListener', (name, fn) => {
+          removed.push([name, fn === listener, emitter.listenerCount('hello')]);
+        });
+        emitter.off('hello', listener);
+        
+        assert.deepStrictEqual(removed, [['hello', true, 0]]);
+      });
+      
+      it('does not affect an emit in progress', () => {
+        const emitter = new Emitter();
+        const calls = [];
+        const second = () => calls.push('second');
+        
+        emitter.on('x', () => {
+          calls.push('first');
+          emitter.off('x', second);
+        });
+        emitter.on('x', second);
+        emitter.emit('x');
+        emitter.emit('x');
+        
+        assert.deepStrictEqual(calls, ['first', 'second', 'first']);
+      });
+      
+      it('ignores a listener that was never added', () => {
+        const emitter = new Emitter();
+        let removedEvents = 0;
+        
+        emitter.on('removeListener', () => removedEvents++);
+        emitter.off('nope', () => {});
+        
+        assert.strictEqual(removedEvents, 0);
+      });
+    });
+    
+    describe('remove-all-listeners', () => {
+      it('emits removeListener for each listener, last one first', () => {
+        const emitter = new Emitter();
+        const removed = [];
+        const a = () => {};
+        const b = () => {};
+        
+        emitter.on('foo', a);
+        emitter.on('foo', b);
+        emitter.on('removeListener', (name, fn) => removed.push([name, fn === a ? 'a' : 'b']));
+        emitter.removeAllListeners('foo');
+        
+        assert.deepStrictEqual(removed, [['foo', 'b'], ['foo', 'a']]);
+        assert.deepStrictEqual(emitter.eventNames(), ['removeListener']);
+      });
+      
+      it('removes every event with no argument', () => {
+        const emitter = new Emitter();
+        
+        emitter.on('foo', () => {});
+        emitter.on('bar', () => {});
+        emitter.removeAllListeners();
+        
+        assert.deepStrictEqual(emitter.eventNames(), []);
+      });
+    });
+    
+    describe('once', () => {
+      it('runs once, even if the listener emits the event again', () => {
+        const emitter = new Emitter();
+        let calls = 0;
+        
+        emitter.once('foo', () => {
+          calls++;
+          emitter.emit('foo');
+        });
+        emitter.emit('foo');
+        emitter.emit('foo');
+        
+        assert.strictEqual(calls, 1);
+      });
+      
+      it('can be removed by the original listener', () => {
+        const emitter = new Emitter();
+        const listener = () => assert.fail('should not run');
+        
+        emitter.once('foo', listener);
+        emitter.off('foo', listener);
+        emitter.emit('foo');
+        
+        assert.strictEqual(emitter.listenerCount('foo'), 0);
+      });
+      
+      it('passes every argument through', () => {
+        const emitter = new Emitter();
+        let received;
+        
+        emitter.once('foo', (...args) => {
+          received = args;
+        });
+        emitter.emit('foo', 1, 2, 3, 4, 5);
+        
+        assert.deepStrictEqual(received, [1, 2, 3, 4, 5]);
+      });
+      
+      it('unwraps once listeners in listeners() but not rawListeners()', () => {
+        const emitter = new Emitter();
+        const listener = () => {};
+        
+        emitter.once('foo', listener);
+        const [raw] = emitter.rawListeners('foo');
+        
+        assert.deepStrictEqual(emitter.listeners('foo'), [listener]);
+        assert.notStrictEqual(raw, listener);
+        assert.strictEqual(raw.listener, listener);
+        
+        // Calling the wrapper removes it
+        raw();
+        assert.strictEqual(emitter.listenerCount('foo'), 0);
+      });
+    });
+    
+    describe('prepend', () => {
+      it('runs prepended listeners first', () => {
+        const emitter = new Emitter();
+        const order = [];
+        
+        emitter.on('foo', () => order.push(3));
+        emitter.prependListener('foo', () => order.push(2));
+        emitter.prependOnceListener('foo', () => order.push(1));
+        emitter.emit('foo');
+        emitter.emit('foo');
+        
+        assert.deepStrictEqual(order, [1, 2, 3, 2, 3]);
+      });
+    });
+    
+    describe('listeners', () => {
+      it('returns a copy', () => {
+        const emitter = new Emitter();
+        const listener = () => {};
+        
+        emitter.on('foo', listener);
+        const listeners = emitter.listeners('foo');
+        listeners.push(() => {});
+        
+        assert.deepStrictEqual(emitter.listeners('foo'), [listener]);
+        assert.deepStrictEqual(emitter.listeners('none'), []);
+      });
+      
+      it('counts listeners, optionally of one function', () => {
+        const emitter = new Emitter();
+        const listener = () => {};
+        
+        emitter.on('foo', listener);
+        emitter.once('foo', listener);
+        emitter.on('foo', () => {});
+        
+        assert.strictEqual(emitter.listenerCount('foo'), 3);
+        assert.strictEqual(emitter.listenerCount('foo', listener), 2);
+        assert.strictEqual(emitter.listenerCount('none'), 0);
+      });
+      
+      it('lists event names in property-key order, Symbols last', () => {
+        const emitter = new Emitter();
+        const symbol = Symbol('s');
+        
+        emitter.on('foo', () => {});
+        emitter.on(symbol, () => {});
+        emitter.on('bar', () => {});
+        emitter.on('2', () => {});
+        emitter.on('1', () => {});
+        
+        assert.deepStrictEqual(emitter.eventNames(), ['1', '2', 'foo', 'bar', symbol]);
+      });
+      
+      it('handles event names that are Object.prototype keys', () => {
+        const emitter = new Emitter();
+        const calls = [];
+        
+        for (const name of ['__proto__', 'toString', 'hasOwnProperty', 'constructor']) {
+          assert.strictEqual(emitter.listenerCount(name), 0);
+          emitter.on(name, () => calls.push(name));
+          emitter.emit(name);
+        }
+        
+        assert.deepStrictEqual(calls, ['__proto__', 'toString', 'hasOwnProperty', 'constructor']);
+      });
+    });
+    
+    describe('errors', () => {
+      it('throws an emitted Error that nobody listens for', () => {
+        const emitter = new Emitter();
+        const error = new Error('boom');
+        
+        assert.throws(() => emitter.emit('error', error), error);
+      });
+      
+      it('wraps anything else in ERR_UNHANDLED_ERROR', () => {
+        const emitter = new Emitter();
+        
+        assert.throws(() => emitter.emit('error', 'accidentally a string'), {
+          code: 'ERR_UNHANDLED_ERROR',
+          message: "Unhandled error. ('accidentally a string')",
+          context: 'accidentally a string'
+        });
+      });
+      
+      it('does not throw once an error listener is added', () => {
+        const emitter = new Emitter();
+        let received;
+        
+        emitter.on('error', error => {
+          received = error;
+        });
+        
+        assert.strictEqual(emitter.emit('error', 'x'), true);
+        assert.strictEqual(received, 'x');
+      });
+      
+      it('lets a listener error propagate out of emit', () => {
+        const emitter = new Emitter();
+        
+        emitter.on('foo', () => {
+          throw new RangeError('listener');
+        });
+        
+        assert.throws(() => emitter.emit('foo'), RangeError);
+      });
+    });
+    
+    describe('max-listeners', () => {
+      it('warns once when an event goes over the limit', () => {
+        const emitter = new Emitter();
+        emitter.setMaxListeners(2);
+        
+        const warnings = captureWarnings(() => {
+          for (let i = 0; i < 5; i++) {
+            emitter.on('foo', () => {});
+          }
+        });
+        
+        assert.strictEqual(warnings.length, 1);
+        const [warning] = warnings;
+        assert.strictEqual(warning.name, 'MaxListenersExceededWarning');
+        assert.strictEqual(warning.emitter, emitter);
+        assert.strictEqual(warning.type, 'foo');
+        assert.strictEqual(warning.count, 3);
+        assert.match(warning.message, /Possible EventEmitter memory leak detected\. 3 foo listeners added/);
+      });
+      
+      it('does not warn with a limit of 0', () => {
+        const emitter = new Emitter();
+        emitter.setMaxListeners(0);
+        
+        const warnings = captureWarnings(() => {
+          for (let i = 0; i < 20; i++) {
+            emitter.on('foo', () => {});
+          }
+        });
+        
+        assert.deepStrictEqual(warnings, []);
+      });
+      
+      it('validates the limit', () => {
+        const emitter = new Emitter();
+        
+        assert.strictEqual(emitter.getMaxListeners(), 10);
+        assert.throws(() => emitter.setMaxListeners('10'), TypeError);
+        assert.throws(() => emitter.setMaxListeners(-1), RangeError);
+        assert.throws(() => emitter.setMaxListeners(NaN), RangeError);
+        assert.strictEqual(emitter.setMaxListeners(3), emitter);
+        assert.strictEqual(emitter.getMaxListeners(), 3);
+      });
+    });
+    
+    describe('emit', () => {
+      it('returns whether there were listeners', () => {
+        const emitter = new Emitter();
+        
+        assert.strictEqual(emitter.emit('foo'), false);
+        emitter.on('foo', () => {});
+        assert.strictEqual(emitter.emit('foo'), true);
+      });
+      
+      it('supports Symbol event names', () => {
+        const emitter = new Emitter();
+        const symbol = Symbol('event');
+        let received;
+        
+        emitter.on(symbol, value => {
+          received = value;
+        });
+        emitter.emit(symbol, 'sym');
+        
+        assert.strictEqual(received, 'sym');
+      });
+      
+      it('aliases addListener and removeListener', () => {
+        assert.strictEqual(Emitter.prototype.addListener, Emitter.prototype.on);
+        assert.strictEqual(Emitter.prototype.removeListener, Emitter.prototype.off);
+      });
+    });
+    
+    describe('static once / on', () => {
+      it('once resolves with the emitted arguments', async () => {
+        const emitter = new Emitter();
+        const promise = Emitter.once(emitter, 'ready');
+        
+        emitter.emit('ready', 1, 2);
+        assert.deepStrictEqual(await promise, [1, 2]);
+      });
+      
+      it('once rejects on an error event', async () => {
+        const emitter = new Emitter();
+        const promise = Emitter.once(emitter, 'ready');
+        
+        emitter.emit('error', new Error('failed'));
+        await assert.rejects(promise, { message: 'failed' });
+        assert.strictEqual(emitter.listenerCount('ready'), 0);
+      });
+      
+      it('once rejects with an AbortError when the signal aborts', async () => {
+        const emitter = new Emitter();
+        const controller = new AbortController();
+        const promise = Emitter.once(emitter, 'ready', { signal: controller.signal });
+        
+        controller.abort();
+        await assert.rejects(promise, { name: 'AbortError' });
+      });
+      
+      it('on yields emitted arguments until returned', async () => {
+        const emitter = new Emitter();
+        const iterator = Emitter.on(emitter, 'data');
+        
+        emitter.emit('data', 'a');
+        emitter.emit('data', 'b', 'c');
+        
+        assert.deepStrictEqual(await iterator.next(), { value: ['a'], done: false });
+        assert.deepStrictEqual(await iterator.next(), { value: ['b', 'c'], done: false });
+        assert.deepStrictEqual(await iterator.return(), { value: undefined, done: true });
+        assert.strictEqual(emitter.listenerCount('data'), 0);
+      });
+    });
+  });
+}
+
+// The polyfill's own additions, which node:events doesn't have
+describe('EventEmitter extensions (polyfill)', () => {
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+  
+  describe('emitAsync', () => {
+    it('resolves false without listeners, and rejects an unhandled error', async () => {
+      const emitter = new EventEmitter();
+      
+      assert.strictEqual(await emitter.emitAsync('nothing'), false);
+      await assert.rejects(emitter.emitAsync('error', 'oops'), { code: 'ERR_UNHANDLED_ERROR' });
+    });
+    
+    it('parallel: starts every listener, then waits for all of them', async () => {
+      const emitter = new EventEmitter();
+      const log = [];
+      
+      emitter.on('save', async function(id) {
+        log.push(`a start ${id}`);
+        assert.strictEqual(this, emitter);
+        await delay(10);
+        log.push('a end');
+      });
+      emitter.on('save', async () => {
+        log.push('b start');
+        await delay(1);
+        log.push('b end');
+      });
+      
+      assert.strictEqual(await emitter.emitAsync('save', 7), true);
+      assert.deepStrictEqual(log, ['a start 7', 'b start', 'b end', 'a end']);
+    });
+    
+    it('serial: runs each listener after the previous one settled', async () => {
+      const emitter = new EventEmitter({ asyncMode: 'serial' });
+      const log = [];
+      
+      emitter.on('save', async () => {
+        log.push('a start');
+        await delay(10);
+        log.push('a end');
+      });
+      emitter.on('save', () => log.push('b'));
+      
+      assert.strictEqual(await emitter.emitAsync('save'), true);
+      assert.deepStrictEqual(log, ['a start', 'a end', 'b']);
+    });
+    
+    it('parallel: rejects with the first error, after starting every listener', async () => {
+      const emitter = new EventEmitter();
+      const called = [];
+      
+      emitter.on('job', async () => {
+        called.push('slow');
+        await delay(20);
+        throw new Error('slow');
+      });
+      emitter.on('job', async () => {
+        called.push('fast');
+        await delay(1);
+        throw new Error('fast');
+      });
+      
+      await assert.rejects(emitter.emitAsync('job'), { message: 'fast' });
+      assert.deepStrictEqual(called, ['slow', 'fast']);
+      await delay(30); // Let the slow rejection settle (Promise.all observes it)
+    });
+    
+    it('parallel: a listener that throws synchronously doesn\'t stop the others', async () => {
+      const emitter = new EventEmitter();
+      let secondRan = false;
+      
+      emitter.on('job', () => {
+        throw new TypeError('sync');
+      });
+      emitter.on('job', () => {
+        secondRan = true;
+      });
+      
+      await assert.rejects(emitter.emitAsync('job'), TypeError);
+      assert.ok(secondRan);
+    });
+    
+    it('serial: stops at the first error', async () => {
+      const emitter = new EventEmitter({ asyncMode: 'serial' });
+      let secondRan = false;
+      
+      emitter.on('job', async () => {
+        throw new Error('first');
+      });
+      emitter.on('job', () => {
+        secondRan = true;
+      });
+      
+      await assert.rejects(emitter.emitAsync('job'), { message: 'first' });
+      assert.ok(!secondRan);
+    });
+    
+    it('validates the options', () => {
+      assert.throws(() => new EventEmitter({ asyncMode: 'sequential' }), TypeError);
+      assert.throws(() => new EventEmitter({ captureRejections: 'yes' }), TypeError);
+      assert.throws(() => new EventEmitter({ delimiter: '' }), TypeError);
+    });
+  });
+  
+  describe('captureRejections', () => {
+    it('routes a listener\'s rejected promise to the error event', async () => {
+      const emitter = new EventEmitter({ captureRejections: true });
+      const errors = [];
+      
+      emitter.on('error', error => errors.push(error.message));
+      emitter.on('save', async () => {
+        throw new Error('save failed');
+      });
+      emitter.emit('save');
+      await delay(0);
+      
+      assert.deepStrictEqual(errors, ['save failed']);
+    });
+    
+    it('calls the captureRejectionSymbol method instead, with the event and args', async () => {
+      const emitter = new EventEmitter({ captureRejections: true });
+      const handled = [];
+      
+      emitter[EventEmitter.captureRejectionSymbol] = function(error, event, ...args) {
+        handled.push([this === emitter, error.message, event, args]);
+      };
+      emitter.on('error', () => assert.fail('should not reach the error event'));
+      emitter.on('save', async () => {
+        throw new Error('save failed');
+      });
+      emitter.emit('save', 1, 2);
+      await delay(0);
+      
+      assert.deepStrictEqual(handled, [[true, 'save failed', 'save', [1, 2]]]);
+      assert.strictEqual(EventEmitter.captureRejectionSymbol, Symbol.for('nodejs.rejection'));
+    });
+    
+    it('leaves rejections alone when off, which is the default', async () => {
+      const emitter = new EventEmitter();
+      let errorEvents = 0;
+      
+      emitter.on('error', () => errorEvents++);
+      emitter.on('save', () => {
+        const rejection = Promise.reject(new Error('ignored'));
+        rejection.catch(() => {});
+        return rejection;
+      });
+      emitter.emit('save');
+      await delay(0);
+      
+      assert.strictEqual(emitter.captureRejections, false);
+      assert.strictEqual(errorEvents, 0);
+    });
+    
+    it('defaults to EventEmitter.captureRejections', () => {
+      const original = EventEmitter.captureRejections;
+      EventEmitter.captureRejections = true;
+      
+      try {
+        assert.strictEqual(new EventEmitter().captureRejections, true);
+        assert.strictEqual(new EventEmitter({ captureRejections: false }).captureRejections, false);
+      } finally {
+        EventEmitter.captureRejections = original;
+      }
+    });
+  });
+  
+  describe('wildcard mode', () => {
+    // Emit `event` and return which of the named listeners heard it
+    function heardBy(emitter, event) {
+      const heard = [];
+      
+      emitter.heard = heard;
+      emitter.emit(event);
+      return heard;
+    }
+    
+    function listen(emitter, ...patterns) {
+      patterns.forEach(pattern => emitter.on(pattern, function() {
+        this.heard.push(pattern);
+      }));
+    }
+    
+    it('matches exactly one segment with *', () => {
+      const emitter = new EventEmitter({ wildcard: true });
+      listen(emitter, 'cart.*');
+      
+      assert.deepStrictEqual(heardBy(emitter, 'cart.added'), ['cart.*']);
+      assert.deepStrictEqual(heardBy(emitter, 'cart'), []);
+      assert.deepStrictEqual(heardBy(emitter, 'cart.item.added'), []);
+      assert.deepStrictEqual(heardBy(emitter, 'user.added'), []);
+    });
+    
+    it('matches any number of segments, including none, with **', () => {
+      const emitter = new EventEmitter({ wildcard: true });
+      listen(emitter, 'cart.**', '**.added', '**');
+      
+      assert.deepStrictEqual(heardBy(emitter, 'cart').sort(), ['**', 'cart.**']);
+      assert.deepStrictEqual(heardBy(emitter, 'cart.item.added').sort(), ['**', '**.added', 'cart.**']);
+      assert.deepStrictEqual(heardBy(emitter, 'added').sort(), ['**', '**.added']);
+      assert.deepStrictEqual(heardBy(emitter, 'user.removed'), ['**']);
+    });
+    
+    it('runs exact listeners before wildcard ones', () => {
+      const emitter = new EventEmitter({ wildcard: true });
+      listen(emitter, 'cart.*', 'cart.added');
+      
+      assert.deepStrictEqual(heardBy(emitter, 'cart.added'), ['cart.added', 'cart.*']);
+    });
+    
+    it('reaches every matching name when the emitted event is a pattern', () => {
+      const emitter = new EventEmitter({ wildcard: true });
+      listen(emitter, 'cart.added', 'cart.removed', 'user.added');
+      
+      assert.deepStrictEqual(heardBy(emitter, 'cart.*'), ['cart.added', 'cart.removed']);
+      assert.deepStrictEqual(heardBy(emitter, '*.added'), ['cart.added', 'user.added']);
+    });
+    
+    it('sets this.event to the emitted name', () => {
+      const emitter = new EventEmitter({ wildcard: true });
+      const seen = [];
+      
+      emitter.on('cart.*', function(payload) {
+        seen.push([this.event, payload]);
+      });
+      emitter.emit('cart.added', 1);
+      emitter.emit('cart.removed', 2);
+      
+      assert.deepStrictEqual(seen, [['cart.added', 1], ['cart.removed', 2]]);
+    });
+    
+    it('splits on a custom delimiter', () => {
+      const emitter = new EventEmitter({ wildcard: true, delimiter: ':' });
+      listen(emitter, 'cart:*', 'cart.*');
+      
+      assert.deepStrictEqual(heardBy(emitter, 'cart:added'), ['cart:*']);
+      assert.deepStrictEqual(heardBy(emitter, 'cart.added'), []);
+    });
+    
+    it('treats * literally without wildcard mode, and Symbols only match themselves', () => {
+      const plain = new EventEmitter();
+      listen(plain, 'cart.*');
+      assert.deepStrictEqual(heardBy(plain, 'cart.added'), []);
+      assert.deepStrictEqual(heardBy(plain, 'cart.*'), ['cart.*']);
+      
+      const emitter = new EventEmitter({ wildcard: true });
+      const symbol = Symbol('**');
+      let calls = 0;
+      listen(emitter, '**');
+      emitter.on(symbol, () => calls++);
+      
+      assert.deepStrictEqual(heardBy(emitter, symbol), []);
+      assert.strictEqual(calls, 1);
+    });
+    
+    it('counts and lists the listeners a pattern reaches', () => {
+      const emitter = new EventEmitter({ wildcard: true });
+      const star = () => {};
+      const added = () => {};
+      const removed = () => {};
+      
+      emitter.on('cart.*', star);
+      emitter.on('cart.added', added);
+      emitter.once('cart.removed', removed);
+      
+      assert.deepStrictEqual(emitter.listeners('cart.added'), [added, star]);
+      assert.deepStrictEqual(emitter.listeners('cart.*'), [star, added, removed]);
+      assert.strictEqual(emitter.listenerCount('cart.*'), 3);
+      assert.strictEqual(emitter.listenerCount('cart.removed', removed), 1);
+      assert.strictEqual(emitter.listenerCount('user.*'), 0);
+    });
+    
+    it('removes a listener from every name a pattern covers, but not from patterns', () => {
+      const emitter = new EventEmitter({ wildcard: true });
+      const listener = () => {};
+      
+      emitter.on('cart.added', listener);
+      emitter.on('cart.removed', listener);
+      emitter.on('cart.*', listener);
+      
+      // A concrete name leaves the 'cart.*' registration alone
+      emitter.off('cart.added', listener);
+      assert.deepStrictEqual(emitter.eventNames(), ['cart.removed', 'cart.*']);
+      
+      // A pattern covers 'cart.*' itself too
+      emitter.off('cart.*', listener);
+      assert.deepStrictEqual(emitter.eventNames(), []);
+    });
+    
+    it('removes all listeners under a pattern', () => {
+      const emitter = new EventEmitter({ wildcard: true });
+      listen(emitter, 'cart.added', 'cart.item.added', 'user.added');
+      
+      emitter.removeAllListeners('cart.**');
+      
+      assert.deepStrictEqual(emitter.eventNames(), ['user.added']);
+    });
+    
+    it('prunes the branches removal leaves empty', () => {
+      const emitter = new EventEmitter({ wildcard: true });
+      const listener = () => {};
+      
+      emitter.on('a.b.c', listener);
+      emitter.on('a.b', listener);
+      emitter.on('a.x.y', listener);
+      
+      emitter.off('a.b.c', listener);
+      assert.deepStrictEqual([...emitter.trie.root.children.get('a').children.get('b').children.keys()], []);
+      
+      emitter.off('a.x.y', listener);
+      assert.deepStrictEqual([...emitter.trie.root.children.get('a').children.keys()], ['b']);
+      
+      emitter.off('a.b', listener);
+      assert.strictEqual(emitter.trie.root.children.size, 0);
+      
+      emitter.on('z', listener);
+      emitter.removeAllListeners();
+      assert.strictEqual(emitter.trie.root.children.size, 0);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+// myCall, myApply and myBind against Function.prototype.call/apply/bind
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { inspect } = require('node:util');
+const { installPolyfills, uninstallPolyfills } = require('../installer');
+require('../function');
+
+// This file is sloppy mode, so `sloppy` sees boxed primitives and globalThis
+function sloppy(...args) {
+  return [this, args];
+}
+
+// The directive rules out rest parameters, hence `arguments`
+function strict() {
+  'use strict';
+  
+  return [this, [...arguments]];
+}
+
+const frozen = Object.freeze({ frozen: true });
+const nullProto = Object.freeze(Object.create(null));
+const THIS_VALUES = [undefined, null, 0, 'str', true, Symbol.for('sym'), 10n, {}, [], frozen, nullProto];
+
+describe('Function.prototype polyfills', () => {
+  before(() => installPolyfills());
+  after(() => uninstallPolyfills());
+  
+  describe('myCall', () => {
+    it('passes `this` like native call, in strict and sloppy functions', () => {
+      for (const thisArg of THIS_VALUES) {
+        assert.deepStrictEqual(strict.myCall(thisArg, 1, 2), strict.call(thisArg, 1, 2), inspect(thisArg));
+        assert.deepStrictEqual(sloppy.myCall(thisArg, 1, 2), sloppy.call(thisArg, 1, 2), inspect(thisArg));
+      }
+    });
+    
+    it('hands a strict function null and undefined as-is', () => {
+      assert.strictEqual(strict.myCall(null)[0], null);
+      assert.strictEqual(strict.myCall(undefined)[0], undefined);
+      assert.strictEqual(sloppy.myCall(null)[0], globalThis);
+    });
+    
+    it('leaves no property behind on the receiver', () => {
+      const target = {};
+      
+      sloppy.myCall(target);
+      assert.deepStrictEqual(Reflect.ownKeys(target), []);
+      assert.deepStrictEqual(Reflect.ownKeys(String.prototype).filter(key => typeof key === 'symbol' && !key.description?.startsWith('Symbol.')), []);
+    });
+    
+    it('cleans up when the function throws', () => {
+      const target = {};
+      
+      assert.throws(() => (function() { throw new RangeError('boom'); }).myCall(target), RangeError);
+      assert.deepStrictEqual(Reflect.ownKeys(target), []);
+    });
+    
+    it('throws a TypeError on a non-function', () => {
+      assert.throws(() => Function.prototype.myCall.call({}), TypeError);
+    });
+    
+    it('has the native name and length', () => {
+      assert.strictEqual(Function.prototype.myCall.name, 'call');
+      assert.strictEqual(Function.prototype.myCall.length, 1);
+    });
+  });
+  
+  describe('myApply', () => {
+    it('passes `this` like native apply', () => {
+      for (const thisArg of THIS_VALUES) {
+        assert.deepStrictEqual(strict.myApply(thisArg, [1]), strict.apply(thisArg, [1]), inspect(thisArg));
+        assert.deepStrictEqual(sloppy.myApply(thisArg, [1]), sloppy.apply(thisArg, [1]), inspect(thisArg));
+      }
+    });
+    
+    it('accepts array-likes and treats null/undefined as no arguments', () => {
+      const argumentLists = [[1, 2], { length: 2, 0: 'a' }, { length: '1', 0: 'x' }, null, undefined, {}];
+      
+      for (const args of argumentLists) {
+        assert.deepStrictEqual(strict.myApply(null, args)[1], strict.apply(null, args)[1]);
+      }
+      
+      (function() {
+        assert.deepStrictEqual(strict.myApply(null, arguments)[1], [3, 4]);
+      })(3, 4);
+    });
+    
+    it('throws a TypeError for primitive argument lists', () => {
+      for (const args of [1, 'ab', true, Symbol('s')]) {
+        assert.throws(() => strict.myApply(null, args), TypeError);
+      }
+    });
+    
+    it('has the native name and length', () => {
+      assert.strictEqual(Function.prototype.myApply.name, 'apply');
+      assert.strictEqual(Function.prototype.myApply.length, 2);
+    });
+  });
+  
+  describe('myBind', () => {
+    it('binds `this` and leading arguments', () => {
+      for (const thisArg of THIS_VALUES) {
+        assert.deepStrictEqual(strict.myBind(thisArg, 1)(2), strict.bind(thisArg, 1)(2), inspect(thisArg));
+        assert.deepStrictEqual(sloppy.myBind(thisArg, 1)(2), sloppy.bind(thisArg, 1)(2), inspect(thisArg));
+      }
+    });
+    
+    it('sets name and length like native bind', () => {
+      function add(a, b, c) {
+        return a + b + c;
+      }
+      const anonymous = [function() {}][0];
+      const weirdLength = Object.defineProperty(function() {}, 'length', { value: '3' });
+      
+      for (const fn of [add, anonymous, weirdLength, () => {}, class Point {}]) {
+        for (const args of [[], [1], [1, 2, 3, 4]]) {
+          const native = fn.bind(null, ...args);
+          const polyfill = fn.myBind(null, ...args);
+          
+          assert.strictEqual(polyfill.name, native.name);
+          assert.strictEqual(polyfill.length, native.length);
+        }
+      }
+    });
+    
+    it('constructs the target with new, ignoring the bound this', () => {
+      function Point(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+      const BoundPoint = Point.myBind({ ignored: true }, 1);
+      const point = new BoundPoint(2);
+      
+      assert.ok(point instanceof Point);
+      assert.ok(point instanceof BoundPoint);
+      assert.deepStrictEqual({ ...point }, { x: 1, y: 2 });
+      assert.strictEqual(BoundPoint.prototype, undefined);
+    });
+    
+    it('passes new.target through Reflect.construct and subclasses', () => {
+      class Base {
+        constructor() {
+          this.target = new.target;
+        }
+      }
+      const Bound = Base.myBind(null);
+      class Derived extends Base {}
+      
+      assert.strictEqual(new Bound().target, Base);
+      assert.strictEqual(Reflect.construct(Bound, [], Derived).target, Derived);
+      assert.throws(() => class extends Bound {}, TypeError);
+    });
+    
+    it('keeps the static prototype chain of a bound class', () => {
+      class Parent {}
+      class Child extends Parent {}
+      
+      assert.strictEqual(Object.getPrototypeOf(Child.myBind(null)), Parent);
+    });
+    
+    it('does not make arrow functions or methods constructable', () => {
+      const arrow = () => {};
+      const { method } = { method() {} };
+      
+      assert.throws(() => new (arrow.myBind(null))(), TypeError);
+      assert.throws(() => new (method.myBind(null))(), TypeError);
+    });
+    
+    it('throws a TypeError on a non-function', () => {
+      assert.throws(() => Function.prototype.myBind.call({}), TypeError);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+// AbortSignal cancellation of MyPromise chains
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { MyPromise } = require('../promise');
+
+const delay = (ms, value) => new MyPromise(resolve => setTimeout(resolve, ms, value));
+
+describe('MyPromise cancellation', () => {
+  it('rejects with an AbortError when the signal fires while pending', async () => {
+    const controller = new AbortController();
+    const promise = new MyPromise(() => {}, { signal: controller.signal });
+    
+    controller.abort();
+    await assert.rejects(promise, { name: 'AbortError' });
+  });
+  
+  it('cancels a promise returned by a handler while the signal is live', async () => {
+    const controller = new AbortController();
+    const chained = new MyPromise(resolve => resolve(), { signal: controller.signal })
+      .then(() => delay(50, 'late'));
+    
+    setTimeout(() => controller.abort(), 5);
+    await assert.rejects(chained, { name: 'AbortError' });
+  });
+  
+  it('lets a catch handler recover from the abort with a value', async () => {
+    const controller = new AbortController();
+    const promise = new MyPromise(() => {}, { signal: controller.signal });
+    
+    controller.abort();
+    assert.strictEqual(await promise.catch(() => 'fallback'), 'fallback');
+  });
+  
+  it('lets a catch handler recover from the abort with a promise', async () => {
+    const controller = new AbortController();
+    const promise = new MyPromise(() => {}, { signal: controller.signal });
+    
+    controller.abort();
+    assert.strictEqual(await promise.catch(() => delay(5, 'fallback')), 'fallback');
+  });
+});
@@ -0,0 +1,341 @@
+// Promise combinators over any iterable: arrays, Sets, generators, empty
+// iterables and iterators that throw partway - plus allAsync/raceAsync over
+// async iterables
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { installPolyfills, uninstallPolyfills } = require('../installer');
+const { MyPromise } = require('../promise');
+
+before(() => installPolyfills());
+after(() => uninstallPolyfills());
+
+// Resolves after every pending microtask (and timer-0 callback before it) ran
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function* generate(...values) {
+  yield* values;
+}
+
+function* throwAfter(...values) {
+  yield* values;
+  throw new Error('iterator broke');
+}
+
+// [label, () => an object with all/race/allSettled/any]
+const COMBINATORS = [
+  ['MyPromise', () => MyPromise],
+  ['Promise.my*', () => ({
+    all: Promise.myAll,
+    race: Promise.myRace,
+    allSettled: Promise.myAllSettled,
+    any: Promise.myAny
+  })]
+];
+
+for (const [label, getCombinators] of COMBINATORS) {
+  describe(`${label} combinators`, () => {
+    describe('all', () => {
+      it('resolves with the values in input order', async () => {
+        const { all } = getCombinators();
+        const late = new Promise(resolve => setTimeout(resolve, 5, 'late'));
+        
+        assert.deepStrictEqual(await all([late, 'plain', MyPromise.resolve('mine')]), ['late', 'plain', 'mine']);
+      });
+      
+      it('accepts Sets, generators and thenables', async () => {
+        const { all } = getCombinators();
+        const thenable = { then: resolve => resolve('thenable') };
+        
+        assert.deepStrictEqual(await all(new Set([1, thenable])), [1, 'thenable']);
+        assert.deepStrictEqual(await all(generate(1, Promise.resolve(2))), [1, 2]);
+        assert.deepStrictEqual(await all(new Map([['a', 1]]).values()), [1]);
+      });
+      
+      it('resolves an empty iterable with []', async () => {
+        const { all } = getCombinators();
+        
+        assert.deepStrictEqual(await all([]), []);
+        assert.deepStrictEqual(await all(new Set()), []);
+      });
+      
+      it('rejects with the first rejection', async () => {
+        const { all } = getCombinators();
+        const slow = new Promise((_, reject) => setTimeout(reject, 5, new Error('slow')));
+        
+        await assert.rejects(all([slow, MyPromise.reject(new Error('fast'))]), { message: 'fast' });
+        await assert.rejects(slow);
+      });
+      
+      it('rejects when the iterator throws partway or the argument isn\'t iterable', async () => {
+        const { all } = getCombinators();
+        
+        await assert.rejects(all(throwAfter(1, 2)), { message: 'iterator broke' });
+        await assert.rejects(all(5), TypeError);
+      });
+    });
+    
+    describe('race', () => {
+      it('settles like the first input to settle', async () => {
+        const { race } = getCombinators();
+        const slow = new Promise(resolve => setTimeout(resolve, 5, 'slow'));
+        
+        assert.strictEqual(await race(new Set([slow, 'now'])), 'now');
+        await assert.rejects(race(generate(slow, MyPromise.reject(new Error('first')))), { message: 'first' });
+      });
+      
+      it('never settles for an empty iterable', async () => {
+        const { race } = getCombinators();
+        
+        assert.strictEqual(await Promise.race([race([]), nextTask().then(() => 'pending')]), 'pending');
+      });
+      
+      it('rejects when the iterator throws partway', async () => {
+        const { race } = getCombinators();
+        const pending = new Promise(() => {});
+        
+        await assert.rejects(race(throwAfter(pending)), { message: 'iterator broke' });
+      });
+    });
+    
+    describe('allSettled', () => {
+      it('reports every outcome in input order', async () => {
+        const { allSettled } = getCombinators();
+        const error = new Error('no');
+        
+        assert.deepStrictEqual(await allSettled(generate(MyPromise.reject(error), 1)), [
+          { status: 'rejected', reason: error },
+          { status: 'fulfilled', value: 1 }
+        ]);
+      });
+      
+      it('resolves an empty iterable with []', async () => {
+        const { allSettled } = getCombinators();
+        
+        assert.deepStrictEqual(await allSettled(new Set()), []);
+      });
+      
+      it('rejects when the iterator throws partway', async () => {
+        const { allSettled } = getCombinators();
+        
+        await assert.rejects(allSettled(throwAfter(1)), { message: 'iterator broke' });
+      });
+    });
+    
+    describe('any', () => {
+      it('resolves with the first fulfillment', async () => {
+        const { any } = getCombinators();
+        const slow = new Promise(resolve => setTimeout(resolve, 5, 'slow'));
+        
+        assert.strictEqual(await any(new Set([MyPromise.reject(new Error('no')), slow])), 'slow');
+      });
+      
+      it('rejects with an AggregateError of every reason in input order', async () => {
+        const { any } = getCombinators();
+        const slow = new Promise((_, reject) => setTimeout(reject, 5, 'slow'));
+        
+        await assert.rejects(any(generate(slow, MyPromise.reject('fast'))), error => {
+          assert.ok(error instanceof AggregateError);
+          assert.strictEqual(error.message, 'All promises were rejected');
+          assert.deepStrictEqual(error.errors, ['slow', 'fast']);
+          return true;
+        });
+      });
+      
+      it('rejects an empty iterable with an empty AggregateError', async () => {
+        const { any } = getCombinators();
+        
+        await assert.rejects(any([]), error => {
+          assert.ok(error instanceof AggregateError);
+          assert.deepStrictEqual(error.errors, []);
+          return true;
+        });
+      });
+      
+      it('rejects when the iterator throws partway', async () => {
+        const { any } = getCombinators();
+        
+        await assert.rejects(any(throwAfter(MyPromise.reject('no'))), { message: 'iterator broke' });
+      });
+    });
+  });
+}
+
+// An async iterable whose items are created on demand by `makers`; logs
+// every next() and return() call
+function asyncSource(makers, log) {
+  return {
+    [Symbol.asyncIterator]() {
+      let index = 0;
+      
+      return {
+        async next() {
+          log.push('next');
+          
+          if (index === makers.length) {
+            return { value: undefined, done: true };
+          }
+          return { value: makers[index++](), done: false };
+        },
+        async return() {
+          log.push('return');
+          return { value: undefined, done: true };
+        }
+      };
+    }
+  };
+}
+
+async function* brokenSource() {
+  yield 1;
+  throw new Error('source broke');
+}
+
+describe('Promise.allAsync', () => {
+  it('resolves with the values in source order', async () => {
+    const log = [];
+    const source = asyncSource([
+      () => new Promise(resolve => setTimeout(resolve, 5, 'slow')),
+      () => 'plain',
+      () => Promise.resolve('fast')
+    ], log);
+    
+    assert.deepStrictEqual(await Promise.allAsync(source), ['slow', 'plain', 'fast']);
+    assert.deepStrictEqual(log, ['next', 'next', 'next', 'next']);
+  });
+  
+  it('stops pulling and closes the source once an item rejects', async () => {
+    const log = [];
+    const source = asyncSource([
+      () => 1,
+      () => Promise.reject(new Error('second')),
+      () => assert.fail('pulled past the rejection')
+    ], log);
+    
+    await assert.rejects(Promise.allAsync(source), { message: 'second' });
+    assert.deepStrictEqual(log, ['next', 'next', 'return']);
+  });
+  
+  it('resolves an empty source with []', async () => {
+    assert.deepStrictEqual(await Promise.allAsync(asyncSource([], [])), []);
+  });
+  
+  it('rejects when the source throws', async () => {
+    await assert.rejects(Promise.allAsync(brokenSource()), { message: 'source broke' });
+  });
+  
+  it('falls back to Promise.myAll for sync iterables', async () => {
+    assert.deepStrictEqual(await Promise.allAsync(new Set([1, Promise.resolve(2)])), [1, 2]);
+    await assert.rejects(Promise.allAsync(throwAfter(1)), { message: 'iterator broke' });
+    await assert.rejects(Promise.allAsync(5), TypeError);
+  });
+});
+
+describe('Promise.raceAsync', () => {
+  it('settles with the first item and closes an endless source', { timeout: 2000 }, async () => {
+    let pulled = 0;
+    let closed = false;
+    const source = (async function* () {
+      try {
+        for (;;) {
+          yield pulled++;
+        }
+      } finally {
+        closed = true;
+      }
+    })();
+    
+    assert.strictEqual(await Promise.raceAsync(source), 0);
+    await nextTask();
+    assert.strictEqual(pulled, 1);
+    assert.ok(closed);
+  });
+  
+  it('rejects with the first rejection and closes the source', async () => {
+    const log = [];
+    const source = asyncSource([
+      () => Promise.reject(new Error('first')),
+      () => assert.fail('pulled past the rejection')
+    ], log);
+    
+    await assert.rejects(Promise.raceAsync(source), { message: 'first' });
+    await nextTask();
+    assert.deepStrictEqual(log, ['next', 'return']);
+  });
+  
+  it('keeps pulling past items that are still pending', async () => {
+    const log = [];
+    const source = asyncSource([
+      () => new Promise(() => {}),
+      () => new Promise(resolve => setTimeout(resolve, 5, 'second')),
+      () => new Promise(() => {})
+    ], log);
+    
+    assert.strictEqual(await Promise.raceAsync(source), 'second');
+    assert.deepStrictEqual(log, ['next', 'next', 'next', 'next']);
+  });
+  
+  it('rejects when the source throws while items are pending', async () => {
+    const source = asyncSource([
+      () => new Promise(() => {}),
+      () => {
+        throw new Error('source broke');
+      }
+    ], []);
+    
+    await assert.rejects(Promise.raceAsync(source), { message: 'source broke' });
+  });
+  
+  it('falls back to Promise.myRace for sync iterables', async () => {
+    const slow = new Promise(resolve => setTimeout(resolve, 5, 'slow'));
+    
+    assert.strictEqual(await Promise.raceAsync(generate(slow, 'now')), 'now');
+    await assert.rejects(Promise.raceAsync(throwAfter(slow)), { message: 'iterator broke' });
+  });
+});
+
+describe('MyPromise statics', () => {
+  it('resolve() returns a MyPromise as-is and wraps anything else', async () => {
+    const promise = MyPromise.resolve(1);
+    
+    assert.strictEqual(MyPromise.resolve(promise), promise);
+    assert.ok(MyPromise.resolve(Promise.resolve(2)) instanceof MyPromise);
+    assert.strictEqual(await MyPromise.resolve(Promise.resolve(2)), 2);
+  });
+  
+  it('reject() does not unwrap a promise reason', async () => {
+    const reason = Promise.resolve('inner');
+    let caught;
+    
+    await MyPromise.reject(reason).catch(error => {
+      caught = error;
+    });
+    assert.strictEqual(caught, reason);
+  });
+  
+  it('withResolvers() settles the promise from outside the executor', async () => {
+    const { promise, resolve, reject } = MyPromise.withResolvers();
+    
+    assert.ok(promise instanceof MyPromise);
+    resolve('done');
+    reject(new Error('ignored'));
+    assert.strictEqual(await promise, 'done');
+  });
+  
+  it('try() calls the function synchronously with the arguments', async () => {
+    const calls = [];
+    const promise = MyPromise.try((a, b) => {
+      calls.push([a, b]);
+      return a + b;
+    }, 1, 2);
+    
+    assert.deepStrictEqual(calls, [[1, 2]]);
+    assert.strictEqual(await promise, 3);
+  });
+  
+  it('try() turns a throw into a rejection and adopts a returned promise', async () => {
+    await assert.rejects(MyPromise.try(() => {
+      throw new Error('sync');
+    }), { message: 'sync' });
+    assert.strictEqual(await MyPromise.try(() => Promise.resolve('async')), 'async');
+  });
+});
@@ -0,0 +1,128 @@
+// Callback order: every scenario runs once with native Promise and once with
+// MyPromise, next to the same native "ticker" chain, and both runs have to
+// log the same sequence. The ticker shows how many microtask ticks each step
+// takes, so an extra or missing tick changes the interleaving.
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { MyPromise } = require('../promise');
+
+// Native reactions that log t1, t2, ... one microtask apart
+function startTicker(log, ticks = 8) {
+  let chain = Promise.resolve();
+  
+  for (let tick = 1; tick <= ticks; tick++) {
+    chain = chain.then(() => log.push(`t${tick}`));
+  }
+}
+
+// Wait for every microtask the scenario queued
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+async function record(scenario, P) {
+  const log = [];
+  
+  startTicker(log);
+  scenario(P, log);
+  await settle();
+  
+  return log;
+}
+
+async function assertSameOrder(scenario) {
+  const native = await record(scenario, Promise);
+  const polyfill = await record(scenario, MyPromise);
+  
+  assert.deepStrictEqual(polyfill, native);
+}
+
+describe('MyPromise callback order matches native Promise', () => {
+  it('runs then callbacks one tick apart, interleaved with other chains', () => assertSameOrder((P, log) => {
+    P.resolve().then(() => log.push('a1')).then(() => log.push('a2')).then(() => log.push('a3'));
+    P.resolve().then(() => log.push('b1')).then(() => log.push('b2'));
+  }));
+  
+  it('runs callbacks registered on one promise in registration order', () => assertSameOrder((P, log) => {
+    const promise = P.resolve('x');
+    
+    promise.then(() => log.push('first'));
+    promise.then(() => log.push('second'));
+    promise.then(() => log.push('third'));
+  }));
+  
+  it('takes two extra ticks when a then callback returns a promise', () => assertSameOrder((P, log) => {
+    P.resolve()
+      .then(() => {
+        log.push('returning');
+        return P.resolve('inner');
+      })
+      .then(value => log.push(`adopted ${value}`));
+  }));
+  
+  it('takes two extra ticks when a then callback returns a rejected promise', () => assertSameOrder((P, log) => {
+    P.resolve()
+      .then(() => P.reject(new Error('inner')))
+      .catch(error => log.push(`caught ${error.message}`));
+  }));
+  
+  it('calls a thenable\'s then one tick after resolving with it', () => assertSameOrder((P, log) => {
+    const thenable = {
+      then(onFulfilled) {
+        log.push('thenable.then');
+        onFulfilled('from thenable');
+      }
+    };
+    
+    new P(resolve => resolve(thenable)).then(value => log.push(value));
+    log.push('sync');
+  }));
+  
+  it('adopts a thenable returned from a then callback', () => assertSameOrder((P, log) => {
+    P.resolve()
+      .then(() => ({
+        then(onFulfilled) {
+          log.push('thenable.then');
+          onFulfilled('from thenable');
+        }
+      }))
+      .then(value => log.push(value));
+  }));
+  
+  it('adopts a thenable that resolves with another thenable', () => assertSameOrder((P, log) => {
+    const inner = { then: onFulfilled => { log.push('inner.then'); onFulfilled('deep'); } };
+    const outer = { then: onFulfilled => { log.push('outer.then'); onFulfilled(inner); } };
+    
+    P.resolve().then(() => outer).then(value => log.push(value));
+  }));
+  
+  it('adopts a native promise returned from a then callback', () => assertSameOrder((P, log) => {
+    P.resolve()
+      .then(() => Promise.resolve('native'))
+      .then(value => log.push(`adopted ${value}`));
+  }));
+  
+  it('runs catch and finally in mixed chains', () => assertSameOrder((P, log) => {
+    P.reject(new Error('no'))
+      .then(() => log.push('skipped'))
+      .catch(() => log.push('catch'))
+      .finally(() => log.push('finally'))
+      .then(() => log.push('after finally'));
+    
+    P.resolve('value')
+      .finally(() => log.push('finally 2'))
+      .then(value => log.push(`passed through ${value}`));
+  }));
+  
+  it('runs the executor synchronously and reactions after the current task', () => assertSameOrder((P, log) => {
+    new P(resolve => {
+      log.push('executor');
+      resolve();
+    }).then(() => log.push('then'));
+    log.push('after constructor');
+  }));
+  
+  it('interleaves with native chains in the same run', () => assertSameOrder((P, log) => {
+    Promise.resolve().then(() => log.push('native 1')).then(() => log.push('native 2'));
+    P.resolve().then(() => log.push('p 1')).then(() => log.push('p 2'));
+    P.resolve().then(() => Promise.resolve()).then(() => log.push('p mixed'));
+  }));
+});
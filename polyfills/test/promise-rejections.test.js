@@ -0,0 +1,169 @@
+// Unhandled rejection tracking: the MyPromise hooks, and the window events or
+// process events used when no hook is set
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { MyPromise } = require('../promise');
+
+// Resolves after the tracker's timer-0 flush (queued before it) ran
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('MyPromise rejection tracking', () => {
+  let unhandled;
+  let handled;
+  
+  beforeEach(() => {
+    unhandled = [];
+    handled = [];
+    MyPromise.onUnhandledRejection = (reason, promise) => unhandled.push([reason, promise]);
+    MyPromise.onRejectionHandled = promise => handled.push(promise);
+  });
+  
+  afterEach(() => {
+    MyPromise.onUnhandledRejection = null;
+    MyPromise.onRejectionHandled = null;
+  });
+  
+  it('reports a rejection still unhandled after the task, once', async () => {
+    const error = new Error('lost');
+    const promise = MyPromise.reject(error);
+    
+    assert.deepStrictEqual(unhandled, []);
+    await nextTask();
+    await nextTask();
+    
+    assert.strictEqual(unhandled.length, 1);
+    assert.strictEqual(unhandled[0][0], error);
+    assert.strictEqual(unhandled[0][1], promise);
+    assert.deepStrictEqual(handled, []);
+  });
+  
+  it('does not report a rejection handled later in the same task', async () => {
+    const promise = new MyPromise((_, reject) => reject(new Error('caught')));
+    
+    await Promise.resolve();
+    await Promise.resolve();
+    promise.catch(() => {});
+    await nextTask();
+    await nextTask();
+    
+    assert.deepStrictEqual(unhandled, []);
+    assert.deepStrictEqual(handled, []);
+  });
+  
+  it('reports only the end of an unhandled chain', async () => {
+    const source = MyPromise.reject(new Error('passed on'));
+    const derived = source.then(value => value).finally(() => {});
+    
+    await nextTask();
+    
+    assert.deepStrictEqual(unhandled.map(([, promise]) => promise), [derived]);
+  });
+  
+  it('reports a rejection from a throwing executor or handler', async () => {
+    const fromExecutor = new MyPromise(() => {
+      throw new Error('executor');
+    });
+    const fromHandler = MyPromise.resolve().then(() => {
+      throw new Error('handler');
+    });
+    
+    await nextTask();
+    
+    assert.deepStrictEqual(unhandled.map(([, promise]) => promise), [fromExecutor, fromHandler]);
+    assert.deepStrictEqual(unhandled.map(([reason]) => reason.message), ['executor', 'handler']);
+  });
+  
+  it('sends rejectionhandled once when a reported rejection gets a late catch', async () => {
+    const promise = MyPromise.reject(new Error('late'));
+    
+    await nextTask();
+    assert.strictEqual(unhandled.length, 1);
+    
+    promise.catch(() => {});
+    promise.catch(() => {});
+    assert.deepStrictEqual(handled, []);
+    
+    await nextTask();
+    await nextTask();
+    assert.deepStrictEqual(handled, [promise]);
+    assert.strictEqual(unhandled.length, 1);
+  });
+  
+  it('does not track fulfilled promises or rejections of handled promises', async () => {
+    MyPromise.resolve(1);
+    const promise = new MyPromise((_, reject) => setTimeout(reject, 0, new Error('handled')));
+    const caught = promise.catch(error => error.message);
+    
+    assert.strictEqual(await caught, 'handled');
+    await nextTask();
+    
+    assert.deepStrictEqual(unhandled, []);
+  });
+});
+
+describe('MyPromise rejection tracking without hooks', () => {
+  it('emits the process events in Node', async () => {
+    const originalEmit = process.emit;
+    const emitted = [];
+    // Answer only our two events, as if a process listener handled them
+    process.emit = function(type, ...args) {
+      if (type === 'unhandledRejection' || type === 'rejectionHandled') {
+        emitted.push([type, ...args]);
+        return true;
+      }
+      return originalEmit.call(this, type, ...args);
+    };
+    
+    try {
+      const error = new Error('node');
+      const promise = MyPromise.reject(error);
+      
+      await nextTask();
+      promise.catch(() => {});
+      await nextTask();
+      await nextTask();
+      
+      assert.deepStrictEqual(emitted, [
+        ['unhandledRejection', error, promise],
+        ['rejectionHandled', promise]
+      ]);
+    } finally {
+      process.emit = originalEmit;
+    }
+  });
+  
+  it('dispatches cancelable events on the global object where there is one', async () => {
+    const events = [];
+    const logged = [];
+    const originalError = console.error;
+    globalThis.dispatchEvent = event => {
+      events.push(event);
+      // Cancel the second report only
+      if (events.length === 2) {
+        event.preventDefault();
+      }
+      return !event.defaultPrevented;
+    };
+    console.error = (...args) => logged.push(args);
+    
+    try {
+      const first = MyPromise.reject(new Error('first'));
+      await nextTask();
+      const second = MyPromise.reject(new Error('second'));
+      await nextTask();
+      
+      assert.deepStrictEqual(events.map(event => [event.type, event.cancelable]), [
+        ['unhandledrejection', true],
+        ['unhandledrejection', true]
+      ]);
+      assert.deepStrictEqual(events.map(event => event.promise), [first, second]);
+      assert.deepStrictEqual(events.map(event => event.reason.message), ['first', 'second']);
+      // preventDefault() suppresses the console report
+      assert.deepStrictEqual(logged.map(args => args[1].message), ['first']);
+      assert.strictEqual(logged[0][0], 'Uncaught (in MyPromise)');
+    } finally {
+      delete globalThis.dispatchEvent;
+      console.error = originalError;
+    }
+  });
+});
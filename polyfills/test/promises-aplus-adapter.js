@@ -0,0 +1,8 @@
+// Adapter for the Promises/A+ compliance suite: npm run test:aplus
+const { MyPromise } = require('../promise');
+
+module.exports = {
+  resolved: value => MyPromise.resolve(value),
+  rejected: reason => MyPromise.reject(reason),
+  deferred: () => MyPromise.withResolvers()
+};
@@ -0,0 +1,205 @@
+// The retry family, waiting on a FakeClock instead of real delays
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  retry,
+  retryWithBackoff,
+  retryWithJitter,
+  retryWithCondition,
+  retryAdvanced
+} = require('../retry');
+const { FakeClock } = require('../clock');
+
+// A task that fails `failures` times, then returns 'ok'. `attempts` holds the
+// time each attempt started.
+function flaky(clock, failures) {
+  const attempts = [];
+  const fn = async () => {
+    attempts.push(clock.now());
+    
+    if (attempts.length <= failures) {
+      throw new Error(`attempt ${attempts.length}`);
+    }
+    return 'ok';
+  };
+  
+  return { fn, attempts };
+}
+
+// Swap Math.random for a constant while `fn` runs
+async function withRandom(value, fn) {
+  const originalRandom = Math.random;
+  Math.random = () => value;
+  
+  try {
+    return await fn();
+  } finally {
+    Math.random = originalRandom;
+  }
+}
+
+describe('retry', () => {
+  // retry() logs every failed attempt
+  function quietly(fn) {
+    return async () => {
+      const originalLog = console.log;
+      console.log = () => {};
+      
+      try {
+        await fn();
+      } finally {
+        console.log = originalLog;
+      }
+    };
+  }
+  
+  it('waits `delay` between attempts', quietly(async () => {
+    const clock = new FakeClock();
+    const { fn, attempts } = flaky(clock, 2);
+    const result = retry(fn, 3, 500, { clock });
+    
+    await clock.runAllAsync();
+    
+    assert.strictEqual(await result, 'ok');
+    assert.deepStrictEqual(attempts, [0, 500, 1000]);
+  }));
+  
+  it('rejects with the last error after maxAttempts', quietly(async () => {
+    const clock = new FakeClock();
+    const { fn, attempts } = flaky(clock, 5);
+    const rejected = assert.rejects(retry(fn, 2, 500, { clock }), {
+      message: 'Failed after 2 attempts: attempt 2'
+    });
+    
+    await clock.runAllAsync();
+    await rejected;
+    assert.deepStrictEqual(attempts, [0, 500]);
+  }));
+});
+
+describe('retryWithBackoff', () => {
+  it('multiplies the delay by backoffFactor up to maxDelay', async () => {
+    const clock = new FakeClock();
+    const { fn, attempts } = flaky(clock, 4);
+    const retries = [];
+    const result = retryWithBackoff(fn, {
+      maxAttempts: 5,
+      initialDelay: 100,
+      maxDelay: 300,
+      onRetry: (attempt, error, delay) => retries.push([attempt, error.message, delay]),
+      clock
+    });
+    
+    await clock.runAllAsync();
+    
+    assert.strictEqual(await result, 'ok');
+    assert.deepStrictEqual(attempts, [0, 100, 300, 600, 900]);
+    assert.deepStrictEqual(retries, [
+      [1, 'attempt 1', 100],
+      [2, 'attempt 2', 200],
+      [3, 'attempt 3', 300],
+      [4, 'attempt 4', 300]
+    ]);
+  });
+  
+  it('rethrows the last error as is after maxAttempts', async () => {
+    const clock = new FakeClock();
+    const { fn, attempts } = flaky(clock, 5);
+    const rejected = assert.rejects(retryWithBackoff(fn, { clock }), { message: 'attempt 3' });
+    
+    await clock.runAllAsync();
+    await rejected;
+    assert.deepStrictEqual(attempts, [0, 1000, 3000]);
+  });
+  
+  it('stops waiting as soon as the signal aborts', async () => {
+    const clock = new FakeClock();
+    const controller = new AbortController();
+    const { fn, attempts } = flaky(clock, 5);
+    const rejected = assert.rejects(retryWithBackoff(fn, { signal: controller.signal, clock }), {
+      name: 'AbortError'
+    });
+    
+    await clock.tickAsync(500);
+    controller.abort();
+    await rejected;
+    
+    assert.deepStrictEqual(attempts, [0]);
+    assert.strictEqual(clock.size(), 0);
+  });
+});
+
+describe('retryWithJitter', () => {
+  it('waits between half and one and a half times the exponential delay', async () => {
+    for (const [random, expected] of [[0, [0, 50, 150]], [0.5, [0, 100, 300]]]) {
+      const clock = new FakeClock();
+      const { fn, attempts } = flaky(clock, 2);
+      
+      await withRandom(random, async () => {
+        const result = retryWithJitter(fn, { baseDelay: 100, clock });
+        await clock.runAllAsync();
+        assert.strictEqual(await result, 'ok');
+      });
+      
+      assert.deepStrictEqual(attempts, expected);
+    }
+  });
+});
+
+describe('retryWithCondition', () => {
+  it('stops at the first error shouldRetry turns down', async () => {
+    const clock = new FakeClock();
+    const { fn, attempts } = flaky(clock, 5);
+    const asked = [];
+    const rejected = assert.rejects(retryWithCondition(fn, {
+      maxAttempts: 5,
+      delay: 100,
+      shouldRetry: (error, attempt) => {
+        asked.push([error.message, attempt]);
+        return attempt < 2;
+      },
+      clock
+    }), { message: 'attempt 2' });
+    
+    await clock.runAllAsync();
+    await rejected;
+    
+    assert.deepStrictEqual(attempts, [0, 100]);
+    assert.deepStrictEqual(asked, [['attempt 1', 1], ['attempt 2', 2]]);
+  });
+});
+
+describe('retryAdvanced', () => {
+  it('times out a stuck attempt on the clock and retries it', async () => {
+    const clock = new FakeClock();
+    const attempts = [];
+    const retries = [];
+    const result = retryAdvanced(() => {
+      attempts.push(clock.now());
+      return attempts.length === 1 ? new Promise(() => {}) : Promise.resolve('ok');
+    }, {
+      timeout: 500,
+      initialDelay: 100,
+      onRetry: (attempt, error) => retries.push(error.message),
+      clock
+    });
+    
+    await clock.runAllAsync();
+    
+    assert.strictEqual(await result, 'ok');
+    assert.deepStrictEqual(attempts, [0, 600]);
+    assert.deepStrictEqual(retries, ['Operation timeout']);
+    // The second attempt's timeout timer was cleared
+    assert.strictEqual(clock.size(), 0);
+  });
+  
+  it('does not retry once the signal has aborted', async () => {
+    const clock = new FakeClock();
+    const controller = new AbortController();
+    const { fn, attempts } = flaky(clock, 5);
+    
+    controller.abort();
+    await assert.rejects(retryAdvanced(fn, { signal: controller.signal, clock }), { name: 'AbortError' });
+    assert.deepStrictEqual(attempts, []);
+  });
+});
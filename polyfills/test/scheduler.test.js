@@ -0,0 +1,296 @@
+// Scheduler: cron parsing, time zones and job handles, driven by a FakeClock
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Scheduler } = require('../scheduler');
+const { FakeClock } = require('../clock');
+
+// The first `count` run times of `expression` after `from`, as ISO strings
+function firstRuns(expression, from, count, options = {}) {
+  const clock = new FakeClock({ now: new Date(from) });
+  const scheduler = new Scheduler({ timeZone: 'UTC', clock, ...options });
+  const runs = [];
+  
+  scheduler.schedule(expression, date => runs.push(date.toISOString()), { maxRuns: count });
+  clock.runAll();
+  
+  return runs;
+}
+
+describe('Scheduler', () => {
+  describe('cron expressions', () => {
+    it('expands the macros', () => {
+      const from = '2024-03-15T10:20:30Z';
+      
+      assert.deepStrictEqual(firstRuns('@hourly', from, 1), ['2024-03-15T11:00:00.000Z']);
+      assert.deepStrictEqual(firstRuns('@daily', from, 1), ['2024-03-16T00:00:00.000Z']);
+      assert.deepStrictEqual(firstRuns('@midnight', from, 1), ['2024-03-16T00:00:00.000Z']);
+      assert.deepStrictEqual(firstRuns('@weekly', from, 1), ['2024-03-17T00:00:00.000Z']);
+      assert.deepStrictEqual(firstRuns('@monthly', from, 1), ['2024-04-01T00:00:00.000Z']);
+      assert.deepStrictEqual(firstRuns('@yearly', from, 2), ['2025-01-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z']);
+      assert.deepStrictEqual(firstRuns(' @Annually ', from, 1), ['2025-01-01T00:00:00.000Z']);
+    });
+    
+    it('handles lists, ranges, steps and names', () => {
+      const from = '2024-03-15T10:00:00Z'; // A Friday
+      
+      assert.deepStrictEqual(firstRuns('*/20 * * * *', from, 3), [
+        '2024-03-15T10:20:00.000Z',
+        '2024-03-15T10:40:00.000Z',
+        '2024-03-15T11:00:00.000Z'
+      ]);
+      assert.deepStrictEqual(firstRuns('10-50/20 10 * * *', from, 3), [
+        '2024-03-15T10:10:00.000Z',
+        '2024-03-15T10:30:00.000Z',
+        '2024-03-15T10:50:00.000Z'
+      ]);
+      assert.deepStrictEqual(firstRuns('5/30 9,11 * * *', from, 3), [
+        '2024-03-15T11:05:00.000Z',
+        '2024-03-15T11:35:00.000Z',
+        '2024-03-16T09:05:00.000Z'
+      ]);
+      assert.deepStrictEqual(firstRuns('0 9 * feb-mar MON-wed', from, 2), [
+        '2024-03-18T09:00:00.000Z',
+        '2024-03-19T09:00:00.000Z'
+      ]);
+    });
+    
+    it('takes a leading seconds field', () => {
+      assert.deepStrictEqual(firstRuns('*/15 * * * * *', '2024-03-15T10:00:00.500Z', 3), [
+        '2024-03-15T10:00:15.000Z',
+        '2024-03-15T10:00:30.000Z',
+        '2024-03-15T10:00:45.000Z'
+      ]);
+    });
+    
+    it('matches either day field when both are restricted', () => {
+      const from = '2024-09-01T00:00:00Z'; // A Sunday
+      
+      // Every Friday, and the 13th whatever day it is
+      assert.deepStrictEqual(firstRuns('0 0 13 * FRI', from, 8).map(run => run.slice(0, 10)), [
+        '2024-09-06', '2024-09-13', '2024-09-20', '2024-09-27',
+        '2024-10-04', '2024-10-11', '2024-10-13', '2024-10-18'
+      ]);
+      assert.deepStrictEqual(firstRuns('0 0 13 * *', from, 2).map(run => run.slice(0, 10)), ['2024-09-13', '2024-10-13']);
+      assert.deepStrictEqual(firstRuns('0 0 * * 5', from, 2).map(run => run.slice(0, 10)), ['2024-09-06', '2024-09-13']);
+      // 7 is Sunday too
+      assert.deepStrictEqual(firstRuns('0 0 * * 7', from, 1).map(run => run.slice(0, 10)), ['2024-09-08']);
+    });
+    
+    it('skips months without the day, and ends a job that can never run', () => {
+      assert.deepStrictEqual(firstRuns('0 0 31 * *', '2024-04-01T00:00:00Z', 2).map(run => run.slice(0, 10)), ['2024-05-31', '2024-07-31']);
+      assert.deepStrictEqual(firstRuns('0 0 29 2 *', '2024-03-01T00:00:00Z', 1).map(run => run.slice(0, 10)), ['2028-02-29']);
+      
+      const scheduler = new Scheduler({ clock: new FakeClock() });
+      const job = scheduler.schedule('0 0 30 2 *', () => {});
+      
+      assert.strictEqual(job.nextRun(), null);
+      assert.strictEqual(scheduler.size(), 0);
+    });
+    
+    it('rejects malformed expressions', () => {
+      const scheduler = new Scheduler({ clock: new FakeClock() });
+      const invalid = [
+        [42, TypeError],
+        ['* * * *', TypeError],
+        ['* * * * * * *', TypeError],
+        ['60 * * * *', RangeError],
+        ['* 24 * * *', RangeError],
+        ['* * 0 * *', RangeError],
+        ['5-1 * * * *', RangeError],
+        ['*/0 * * * *', TypeError],
+        ['1-2-3 * * * *', TypeError],
+        ['* * * FOO *', TypeError],
+        ['1,,2 * * * *', TypeError]
+      ];
+      
+      for (const [expression, ErrorType] of invalid) {
+        assert.throws(() => scheduler.schedule(expression, () => {}), ErrorType, String(expression));
+      }
+      assert.strictEqual(scheduler.size(), 0);
+    });
+  });
+  
+  describe('time zones', () => {
+    it('runs at the wall-clock time of the time zone', () => {
+      const options = { timeZone: 'America/New_York' };
+      
+      assert.deepStrictEqual(firstRuns('0 9 * * *', '2024-01-15T00:00:00Z', 1, options), ['2024-01-15T14:00:00.000Z']);
+      assert.deepStrictEqual(firstRuns('0 9 * * *', '2024-07-15T00:00:00Z', 1, options), ['2024-07-15T13:00:00.000Z']);
+    });
+    
+    it('lets a job override the scheduler\'s time zone', () => {
+      const clock = new FakeClock({ now: new Date('2024-01-15T00:00:00Z') });
+      const scheduler = new Scheduler({ timeZone: 'America/New_York', clock });
+      const job = scheduler.schedule('0 9 * * *', () => {}, { timeZone: 'Asia/Tokyo' });
+      
+      assert.strictEqual(job.nextRun().toISOString(), '2024-01-16T00:00:00.000Z');
+    });
+    
+    it('moves a time skipped by DST forward by the jump', () => {
+      // Clocks go from 02:00 to 03:00 EST on 2024-03-10
+      assert.deepStrictEqual(firstRuns('30 2 * * *', '2024-03-09T12:00:00Z', 2, { timeZone: 'America/New_York' }), [
+        '2024-03-10T07:30:00.000Z', // 03:30 EDT
+        '2024-03-11T06:30:00.000Z'
+      ]);
+    });
+    
+    it('runs a repeated wall-clock time once, the first time', () => {
+      // 01:00-02:00 happens twice on 2024-11-03
+      assert.deepStrictEqual(firstRuns('30 1 * * *', '2024-11-02T12:00:00Z', 2, { timeZone: 'America/New_York' }), [
+        '2024-11-03T05:30:00.000Z', // 01:30 EDT
+        '2024-11-04T06:30:00.000Z'
+      ]);
+    });
+    
+    it('rejects an unknown time zone', () => {
+      assert.throws(() => new Scheduler({ timeZone: 'Mars/Olympus_Mons' }), RangeError);
+      assert.throws(() => new Scheduler({ clock: new FakeClock() }).schedule('* * * * *', () => {}, { timeZone: 'Nope/Nope' }), RangeError);
+    });
+  });
+  
+  describe('jobs', () => {
+    it('clears a job after maxRuns', () => {
+      const clock = new FakeClock();
+      const scheduler = new Scheduler({ timeZone: 'UTC', clock });
+      const runs = [];
+      const job = scheduler.schedule('* * * * * *', date => runs.push(date.getTime()), { maxRuns: 3 });
+      
+      clock.tick(10000);
+      
+      assert.deepStrictEqual(runs, [1000, 2000, 3000]);
+      assert.strictEqual(job.count(), 3);
+      assert.strictEqual(job.nextRun(), null);
+      assert.strictEqual(scheduler.size(), 0);
+      assert.strictEqual(clock.size(), 0);
+      assert.throws(() => scheduler.schedule('* * * * *', () => {}, { maxRuns: 0 }), TypeError);
+    });
+    
+    it('runs a Date job once, at its time', () => {
+      const clock = new FakeClock({ now: 1000 });
+      const scheduler = new Scheduler({ clock });
+      const runs = [];
+      const at = new Date(2500);
+      
+      scheduler.schedule(at, date => runs.push(date.getTime()), { maxRuns: 5 });
+      clock.tick(1499);
+      assert.deepStrictEqual(runs, []);
+      
+      clock.tick(10000);
+      assert.deepStrictEqual(runs, [2500]);
+      assert.strictEqual(scheduler.size(), 0);
+    });
+    
+    it('runs a Date job in the past right away, and rejects an invalid Date', () => {
+      const clock = new FakeClock({ now: 1000 });
+      const scheduler = new Scheduler({ clock });
+      const runs = [];
+      
+      scheduler.schedule(new Date(0), date => runs.push(date.getTime()));
+      clock.tick(0);
+      
+      assert.deepStrictEqual(runs, [0]);
+      assert.throws(() => scheduler.schedule(new Date(NaN), () => {}), TypeError);
+      assert.throws(() => scheduler.schedule('* * * * *', 'not a function'), TypeError);
+    });
+    
+    it('waits past the longest setTimeout delay in steps', () => {
+      const clock = new FakeClock({ now: new Date('2024-03-15T00:00:00Z') });
+      const scheduler = new Scheduler({ timeZone: 'UTC', clock });
+      const runs = [];
+      
+      scheduler.schedule('@yearly', date => runs.push(date.toISOString()), { maxRuns: 1 });
+      clock.tick(2 ** 31 - 1);
+      assert.deepStrictEqual(runs, []);
+      assert.strictEqual(clock.size(), 1);
+      
+      clock.runAll();
+      assert.deepStrictEqual(runs, ['2025-01-01T00:00:00.000Z']);
+    });
+    
+    it('skips the runs missed while paused', () => {
+      const clock = new FakeClock({ now: 30 * 1000 });
+      const scheduler = new Scheduler({ timeZone: 'UTC', clock });
+      const runs = [];
+      const job = scheduler.schedule('* * * * *', date => runs.push(date.getTime() / 60000));
+      
+      clock.tick(30 * 1000);
+      job.pause();
+      clock.tick(5 * 60 * 1000);
+      assert.deepStrictEqual(runs, [1]);
+      assert.strictEqual(clock.size(), 0);
+      
+      job.resume();
+      assert.strictEqual(job.nextRun().getTime(), 7 * 60 * 1000);
+      clock.tick(2 * 60 * 1000);
+      scheduler.clear();
+      
+      assert.deepStrictEqual(runs, [1, 7, 8]);
+      assert.strictEqual(job.count(), 3);
+    });
+    
+    it('runs a paused Date job once it resumes', () => {
+      const clock = new FakeClock();
+      const scheduler = new Scheduler({ clock });
+      const runs = [];
+      
+      scheduler.schedule(new Date(1000), date => runs.push([date.getTime(), clock.now()]));
+      scheduler.pause();
+      clock.tick(5000);
+      scheduler.resume();
+      clock.tick(0);
+      
+      assert.deepStrictEqual(runs, [[1000, 5000]]);
+    });
+  });
+  
+  describe('errors', () => {
+    it('reports a throwing job to onError and keeps its schedule', () => {
+      const clock = new FakeClock();
+      const errors = [];
+      const scheduler = new Scheduler({ clock, onError: error => errors.push(error.message) });
+      const job = scheduler.schedule('* * * * * *', date => {
+        throw new Error(`run ${date.getTime()}`);
+      });
+      
+      clock.tick(3000);
+      scheduler.clear();
+      
+      assert.deepStrictEqual(errors, ['run 1000', 'run 2000', 'run 3000']);
+      assert.strictEqual(job.count(), 3);
+    });
+    
+    it('reports a rejected promise to onError', async () => {
+      const clock = new FakeClock();
+      const errors = [];
+      const scheduler = new Scheduler({ clock });
+      
+      scheduler.schedule('* * * * * *', async () => {
+        throw new Error('async');
+      }, { maxRuns: 2, onError: error => errors.push(error.message) });
+      
+      await clock.tickAsync(2000);
+      
+      assert.deepStrictEqual(errors, ['async', 'async']);
+    });
+    
+    it('reports through console.error by default instead of throwing from the timer', () => {
+      const clock = new FakeClock();
+      const logged = [];
+      const originalError = console.error;
+      console.error = (...args) => logged.push(args);
+      
+      try {
+        const scheduler = new Scheduler({ clock });
+        
+        scheduler.schedule('* * * * * *', () => {
+          throw new Error('boom');
+        }, { maxRuns: 2 });
+        clock.tick(2000);
+      } finally {
+        console.error = originalError;
+      }
+      
+      assert.strictEqual(logged.length, 2);
+    });
+  });
+});
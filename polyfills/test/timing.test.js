@@ -0,0 +1,521 @@
+// Timer utilities, driven by a FakeClock
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  debounce,
+  debounceAdvanced,
+  RateLimiter,
+  throttle,
+  debounceAsync,
+  throttleAsync,
+  rafThrottle,
+  idleDebounce,
+  mySetInterval,
+  mySetIntervalAdvanced,
+  mySetIntervalFixedRate
+} = require('../timing');
+const { FakeClock } = require('../clock');
+
+describe('debounce', () => {
+  it('runs once, a delay after the last call, with its arguments and this', () => {
+    const clock = new FakeClock();
+    const calls = [];
+    const object = {
+      name: 'object',
+      save: debounce(function(value) {
+        calls.push([clock.now(), value, this.name]);
+      }, 100, { clock })
+    };
+    
+    object.save('a');
+    clock.tick(50);
+    object.save('b');
+    clock.tick(99);
+    assert.deepStrictEqual(calls, []);
+    
+    clock.tick(1);
+    assert.deepStrictEqual(calls, [[150, 'b', 'object']]);
+    assert.strictEqual(clock.size(), 0);
+  });
+  
+  it('immediate: runs on the first call of a burst only', () => {
+    const clock = new FakeClock();
+    const calls = [];
+    const debounced = debounce(value => calls.push([clock.now(), value]), 100, { immediate: true, clock });
+    
+    debounced('a');
+    clock.tick(50);
+    debounced('b');
+    clock.tick(150);
+    debounced('c');
+    
+    assert.deepStrictEqual(calls, [[0, 'a'], [200, 'c']]);
+  });
+});
+
+describe('debounceAdvanced', () => {
+  // A debounced function that logs [time, argument] for every invocation
+  function createDebounced(options = {}) {
+    const clock = new FakeClock();
+    const calls = [];
+    const debounced = debounceAdvanced(value => {
+      calls.push([clock.now(), value]);
+      return value;
+    }, 100, { ...options, clock });
+    
+    return { clock, calls, debounced };
+  }
+  
+  it('waits for a quiet delay by default', () => {
+    const { clock, calls, debounced } = createDebounced();
+    
+    debounced('a');
+    clock.tick(60);
+    debounced('b');
+    clock.tick(60);
+    debounced('c');
+    clock.tick(100);
+    
+    assert.deepStrictEqual(calls, [[220, 'c']]);
+  });
+  
+  it('leading: runs at the start of a burst, and at the end only if called again', () => {
+    const { clock, calls, debounced } = createDebounced({ leading: true });
+    
+    debounced('single');
+    clock.tick(200);
+    assert.deepStrictEqual(calls, [[0, 'single']]);
+    
+    debounced('a');
+    clock.tick(50);
+    debounced('b');
+    clock.tick(200);
+    assert.deepStrictEqual(calls, [[0, 'single'], [200, 'a'], [350, 'b']]);
+  });
+  
+  it('leading without trailing drops the rest of the burst', () => {
+    const { clock, calls, debounced } = createDebounced({ leading: true, trailing: false });
+    
+    debounced('a');
+    clock.tick(50);
+    debounced('b');
+    clock.tick(200);
+    
+    assert.deepStrictEqual(calls, [[0, 'a']]);
+    assert.ok(!debounced.pending());
+  });
+  
+  it('maxWait: invokes during a steady stream of calls', () => {
+    const { clock, calls, debounced } = createDebounced({ maxWait: 200 });
+    
+    for (let time = 0; time < 500; time += 50) {
+      debounced(time);
+      clock.tick(50);
+    }
+    clock.tick(200);
+    
+    assert.deepStrictEqual(calls, [[200, 150], [400, 350], [550, 450]]);
+  });
+  
+  it('returns the latest result; flush() runs the pending call now', () => {
+    const { clock, calls, debounced } = createDebounced({ leading: true });
+    
+    assert.strictEqual(debounced('a'), 'a');
+    assert.strictEqual(debounced('b'), 'a');
+    assert.ok(debounced.pending());
+    
+    assert.strictEqual(debounced.flush(), 'b');
+    assert.ok(!debounced.pending());
+    clock.tick(200);
+    assert.deepStrictEqual(calls, [[0, 'a'], [0, 'b']]);
+  });
+  
+  it('cancel() drops the pending call and starts over', () => {
+    const { clock, calls, debounced } = createDebounced({ leading: true });
+    
+    debounced('a');
+    debounced('b');
+    debounced.cancel();
+    clock.tick(200);
+    assert.strictEqual(clock.size(), 0);
+    
+    debounced('c');
+    assert.deepStrictEqual(calls, [[0, 'a'], [200, 'c']]);
+  });
+});
+
+describe('RateLimiter', () => {
+  for (const strategy of ['tokenBucket', 'slidingWindow']) {
+    describe(strategy, () => {
+      it('drops idle keys once they are back to a fresh state', () => {
+        const clock = new FakeClock();
+        const limiter = new RateLimiter({ tokensPerInterval: 2, interval: 1000, strategy, clock });
+        
+        for (let i = 0; i < 100; i++) {
+          assert.ok(limiter.tryAcquire(1, { key: `url ${i}` }));
+        }
+        assert.strictEqual(limiter.keys.size, 100);
+        
+        clock.tick(1000);
+        limiter.tryAcquire(1, { key: 'next' });
+        assert.deepStrictEqual([...limiter.keys.keys()], ['next']);
+      });
+      
+      it('keeps keys that still have waiting calls or recent usage', async () => {
+        const clock = new FakeClock();
+        const limiter = new RateLimiter({ tokensPerInterval: 1, interval: 100, strategy, clock });
+        const served = [];
+        
+        for (let i = 0; i < 3; i++) {
+          limiter.acquire(1, { key: 'busy' }).then(() => served.push(i));
+        }
+        
+        await clock.tickAsync(150);
+        limiter.tryAcquire(1, { key: 'other' });
+        assert.ok(limiter.keys.has('busy'));
+        
+        await clock.tickAsync(500);
+        assert.deepStrictEqual(served, [0, 1, 2]);
+        
+        limiter.tryAcquire(1, { key: 'other' });
+        assert.ok(!limiter.keys.has('busy'));
+      });
+      
+      it('limits a key the same after it was dropped', () => {
+        const clock = new FakeClock();
+        const limiter = new RateLimiter({ tokensPerInterval: 2, interval: 1000, strategy, clock });
+        
+        limiter.tryAcquire(2, { key: 'a' });
+        clock.tick(1000);
+        limiter.tryAcquire(1, { key: 'b' });
+        
+        assert.ok(limiter.tryAcquire(2, { key: 'a' }));
+        assert.ok(!limiter.tryAcquire(1, { key: 'a' }));
+      });
+    });
+  }
+});
+
+describe('throttle', () => {
+  // A throttled function that logs [time, argument] for every invocation
+  function createThrottled(options = {}) {
+    const clock = new FakeClock();
+    const calls = [];
+    const throttled = throttle(value => {
+      calls.push([clock.now(), value]);
+      return value;
+    }, 100, { ...options, clock });
+    
+    return { clock, calls, throttled };
+  }
+  
+  it('runs the trailing invocation with the last call\'s arguments', () => {
+    const { clock, calls, throttled } = createThrottled();
+    
+    throttled('a');
+    clock.tick(10);
+    throttled('b');
+    clock.tick(40);
+    throttled('c');
+    clock.tick(100);
+    
+    assert.deepStrictEqual(calls, [[0, 'a'], [100, 'c']]);
+  });
+  
+  it('invokes once per delay during a steady stream of calls', () => {
+    const { clock, calls, throttled } = createThrottled();
+    
+    for (let time = 0; time < 350; time += 10) {
+      throttled(time);
+      clock.tick(10);
+    }
+    clock.tick(100);
+    
+    assert.deepStrictEqual(calls, [[0, 0], [100, 90], [200, 190], [300, 290], [400, 340]]);
+  });
+  
+  it('keeps the caller\'s this for the trailing invocation', () => {
+    const clock = new FakeClock();
+    const seen = [];
+    const object = {
+      name: 'object',
+      method: throttle(function() {
+        seen.push(this.name);
+      }, 100, { clock })
+    };
+    
+    object.method();
+    object.method();
+    clock.tick(100);
+    
+    assert.deepStrictEqual(seen, ['object', 'object']);
+  });
+  
+  it('leading: false waits for the end of the window', () => {
+    const { clock, calls, throttled } = createThrottled({ leading: false });
+    
+    throttled('a');
+    throttled('b');
+    assert.deepStrictEqual(calls, []);
+    
+    clock.tick(100);
+    assert.deepStrictEqual(calls, [[100, 'b']]);
+  });
+  
+  it('trailing: false drops the calls made during the window', () => {
+    const { clock, calls, throttled } = createThrottled({ trailing: false });
+    
+    throttled('a');
+    throttled('b');
+    clock.tick(150);
+    throttled('c');
+    
+    assert.deepStrictEqual(calls, [[0, 'a'], [150, 'c']]);
+  });
+  
+  it('returns the latest invocation\'s result from calls that don\'t invoke', () => {
+    const { clock, throttled } = createThrottled();
+    
+    assert.strictEqual(throttled('a'), 'a');
+    assert.strictEqual(throttled('b'), 'a');
+    
+    // The trailing 'b' runs at 100, then 'c' opens the next window
+    clock.tick(100);
+    assert.strictEqual(throttled('c'), 'c');
+    assert.strictEqual(throttled('d'), 'c');
+  });
+  
+  it('flush() runs the pending invocation now, pending() tells whether there is one', () => {
+    const { clock, calls, throttled } = createThrottled();
+    
+    throttled('a');
+    throttled('b');
+    assert.ok(throttled.pending());
+    
+    assert.strictEqual(throttled.flush(), 'b');
+    assert.deepStrictEqual(calls, [[0, 'a'], [0, 'b']]);
+    assert.ok(!throttled.pending());
+    
+    // Nothing pending: the latest result, no invocation
+    assert.strictEqual(throttled.flush(), 'b');
+    clock.tick(200);
+    assert.strictEqual(calls.length, 2);
+  });
+  
+  it('cancel() drops the pending invocation', () => {
+    const { clock, calls, throttled } = createThrottled();
+    
+    throttled('a');
+    throttled('b');
+    throttled.cancel();
+    clock.tick(200);
+    
+    assert.deepStrictEqual(calls, [[0, 'a']]);
+    assert.strictEqual(clock.size(), 0);
+  });
+});
+
+describe('debounceAsync / throttleAsync signal', () => {
+  for (const [name, create] of [['debounceAsync', debounceAsync], ['throttleAsync', throttleAsync]]) {
+    it(`${name}: an abort cancels the pending invocation, later calls still run`, async () => {
+      const clock = new FakeClock();
+      const controller = new AbortController();
+      const calls = [];
+      const wrapped = create(value => {
+        calls.push(value);
+        return value;
+      }, 100, { signal: controller.signal, leading: false, clock });
+      
+      const aborted = wrapped('before');
+      controller.abort();
+      await assert.rejects(aborted, { name: 'AbortError' });
+      
+      await clock.tickAsync(100);
+      assert.deepStrictEqual(calls, []);
+      
+      const later = wrapped('after');
+      await clock.tickAsync(100);
+      assert.strictEqual(await later, 'after');
+      assert.deepStrictEqual(calls, ['after']);
+    });
+  }
+});
+
+describe('mySetInterval / mySetIntervalAdvanced', () => {
+  it('mySetInterval runs every delay with the extra arguments until cleared', () => {
+    const clock = new FakeClock();
+    const calls = [];
+    const interval = mySetInterval((a, b) => calls.push([clock.now(), a, b]), { delay: 100, clock }, 'a', 'b');
+    
+    clock.tick(350);
+    interval.clear();
+    clock.tick(500);
+    
+    assert.deepStrictEqual(calls, [[100, 'a', 'b'], [200, 'a', 'b'], [300, 'a', 'b']]);
+    assert.strictEqual(interval.count(), 3);
+    assert.strictEqual(clock.size(), 0);
+  });
+  
+  it('mySetIntervalAdvanced resumes with the part of the delay that was left', () => {
+    const clock = new FakeClock();
+    const times = [];
+    const interval = mySetIntervalAdvanced(() => times.push(clock.now()), { delay: 100, clock });
+    
+    clock.tick(250);
+    interval.pause();
+    clock.tick(1000);
+    assert.deepStrictEqual(times, [100, 200]);
+    assert.strictEqual(clock.size(), 0);
+    
+    interval.resume();
+    clock.tick(250);
+    interval.clear();
+    
+    assert.deepStrictEqual(times, [100, 200, 1300, 1400, 1500]);
+    assert.strictEqual(interval.count(), 5);
+  });
+  
+  it('mySetIntervalAdvanced ignores a repeated pause() or resume()', () => {
+    const clock = new FakeClock();
+    const times = [];
+    const interval = mySetIntervalAdvanced(() => times.push(clock.now()), { delay: 100, clock });
+    
+    clock.tick(40);
+    interval.pause();
+    clock.tick(10);
+    interval.pause();
+    interval.resume();
+    interval.resume();
+    clock.tick(100);
+    interval.clear();
+    
+    assert.deepStrictEqual(times, [110]);
+    assert.strictEqual(clock.size(), 0);
+  });
+});
+
+describe('mySetIntervalFixedRate', () => {
+  it('reports a throwing callback to onError and keeps ticking', () => {
+    const clock = new FakeClock();
+    const errors = [];
+    const interval = mySetIntervalFixedRate(() => {
+      throw new Error(`tick ${clock.now()}`);
+    }, 100, { clock, onError: error => errors.push(error.message) });
+    
+    clock.tick(300);
+    interval.clear();
+    
+    assert.deepStrictEqual(errors, ['tick 100', 'tick 200', 'tick 300']);
+    assert.strictEqual(interval.count(), 3);
+  });
+  
+  it('reports a rejected promise to onError', async () => {
+    const clock = new FakeClock();
+    const errors = [];
+    const interval = mySetIntervalFixedRate(async () => {
+      throw new Error('async');
+    }, 100, { clock, onError: error => errors.push(error.message) });
+    
+    await clock.tickAsync(200);
+    interval.clear();
+    
+    assert.deepStrictEqual(errors, ['async', 'async']);
+  });
+  
+  it('reports through console.error by default instead of throwing from the timer', () => {
+    const clock = new FakeClock();
+    const logged = [];
+    const originalError = console.error;
+    console.error = (...args) => logged.push(args);
+    
+    try {
+      const interval = mySetIntervalFixedRate(() => {
+        throw new Error('boom');
+      }, 100, { clock });
+      
+      clock.tick(200);
+      interval.clear();
+    } finally {
+      console.error = originalError;
+    }
+    
+    assert.strictEqual(logged.length, 2);
+  });
+  
+  it('pauses and resumes on the same grid phase without counting missed ticks', () => {
+    const clock = new FakeClock();
+    const times = [];
+    const interval = mySetIntervalFixedRate(() => times.push(clock.now()), 100, { clock });
+    
+    clock.tick(250);
+    interval.pause();
+    clock.tick(1000);
+    assert.deepStrictEqual(times, [100, 200]);
+    
+    interval.resume();
+    clock.tick(300);
+    interval.clear();
+    
+    assert.deepStrictEqual(times, [100, 200, 1300, 1400, 1500]);
+    assert.strictEqual(interval.skipped(), 0);
+    assert.strictEqual(interval.drift().max, 0);
+  });
+  
+  it('keeps one timer chain when resumed while a tick waits on the callback', async () => {
+    const clock = new FakeClock();
+    const times = [];
+    let release;
+    const interval = mySetIntervalFixedRate(() => {
+      times.push(clock.now());
+      
+      if (times.length === 1) {
+        return new Promise(resolve => {
+          release = resolve;
+        });
+      }
+    }, 100, { clock, overlap: 'wait' });
+    
+    // The tick at 200 waits for the first callback
+    clock.tick(200);
+    interval.pause();
+    interval.resume();
+    release();
+    await clock.tickAsync(200);
+    interval.clear();
+    
+    assert.deepStrictEqual(times, [100, 200, 300, 400]);
+    assert.strictEqual(clock.size(), 0);
+  });
+});
+
+describe('rafThrottle / idleDebounce on a clock', () => {
+  it('rafThrottle runs once per 16ms frame with the latest arguments', () => {
+    const clock = new FakeClock();
+    const calls = [];
+    const throttled = rafThrottle(value => calls.push([value, clock.now()]), { clock });
+    
+    throttled(1);
+    throttled(2);
+    assert.ok(throttled.pending());
+    
+    clock.tick(15);
+    assert.deepStrictEqual(calls, []);
+    
+    clock.tick(1);
+    assert.deepStrictEqual(calls, [[2, 16]]);
+    assert.ok(!throttled.pending());
+  });
+  
+  it('idleDebounce runs the latest call in the next idle period', () => {
+    const clock = new FakeClock({ now: 1000 });
+    const calls = [];
+    const debounced = idleDebounce(value => calls.push(value), { clock });
+    
+    debounced('a');
+    debounced('b');
+    clock.tick(1);
+    
+    assert.deepStrictEqual(calls, ['b']);
+    assert.strictEqual(clock.size(), 0);
+  });
+});
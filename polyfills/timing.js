@@ -0,0 +1,928 @@
+// ============================================
+// DEBOUNCE
+// ============================================
+
+const { createAbortError } = require('./promise');
+const { systemClock } = require('./clock');
+
+function debounce(func, delay, options = {}) {
+  let timeoutId;
+  const { immediate = false, clock = systemClock } = options;
+  
+  return function debounced(...args) {
+    const context = this;
+    
+    const later = () => {
+      timeoutId = null;
+      if (!immediate) {
+        func.apply(context, args);
+      }
+    };
+    
+    const callNow = immediate && !timeoutId;
+    
+    clock.clearTimeout(timeoutId);
+    timeoutId = clock.setTimeout(later, delay);
+    
+    if (callNow) {
+      func.apply(context, args);
+    }
+  };
+}
+
+// Advanced debounce with cancel and flush. `onSkip` (used by debounceAsync
+// and throttleAsync) is told when pending calls end without an invocation.
+function debounceAdvanced(func, delay, options = {}, onSkip) {
+  let timeoutId;
+  let lastArgs;
+  let lastThis;
+  let result;
+  const { leading = false, trailing = true, clock = systemClock } = options;
+  // Waiting longer than `delay` between invocations is the point of maxWait
+  const maxWait = options.maxWait === undefined ? undefined : Math.max(options.maxWait, delay);
+  let lastCallTime;
+  let lastInvokeTime = 0;
+  
+  // Calls that don't invoke return the result of the last invocation
+  function invokeFunc(time) {
+    const args = lastArgs;
+    const thisArg = lastThis;
+    
+    lastArgs = lastThis = undefined;
+    lastInvokeTime = time;
+    result = func.apply(thisArg, args);
+    return result;
+  }
+  
+  function shouldInvoke(time) {
+    const timeSinceLastCall = time - (lastCallTime || 0);
+    const timeSinceLastInvoke = time - lastInvokeTime;
+    
+    return (
+      lastCallTime === undefined ||
+      timeSinceLastCall >= delay ||
+      timeSinceLastCall < 0 ||
+      (maxWait !== undefined && timeSinceLastInvoke >= maxWait)
+    );
+  }
+  
+  function timerExpired() {
+    const time = clock.now();
+    if (shouldInvoke(time)) {
+      return trailingEdge(time);
+    }
+    
+    const timeSinceLastCall = time - lastCallTime;
+    const timeWaiting = delay - timeSinceLastCall;
+    
+    timeoutId = clock.setTimeout(
+      timerExpired,
+      maxWait !== undefined
+        ? Math.min(timeWaiting, maxWait - (time - lastInvokeTime))
+        : timeWaiting
+    );
+  }
+  
+  function trailingEdge(time) {
+    timeoutId = undefined;
+    
+    if (trailing && lastArgs) {
+      return invokeFunc(time);
+    }
+    if (lastArgs && onSkip) {
+      onSkip();
+    }
+    lastArgs = lastThis = undefined;
+    return result;
+  }
+  
+  function leadingEdge(time) {
+    lastInvokeTime = time;
+    timeoutId = clock.setTimeout(timerExpired, delay);
+    return leading ? invokeFunc(time) : result;
+  }
+  
+  function debounced(...args) {
+    const time = clock.now();
+    const isInvoking = shouldInvoke(time);
+    
+    lastArgs = args;
+    lastThis = this;
+    lastCallTime = time;
+    
+    if (isInvoking) {
+      if (timeoutId === undefined) {
+        return leadingEdge(lastCallTime);
+      }
+      if (maxWait !== undefined) {
+        // Invoked by maxWait in the middle of a burst (a throttle's regular tick)
+        clock.clearTimeout(timeoutId);
+        timeoutId = clock.setTimeout(timerExpired, delay);
+        return invokeFunc(lastCallTime);
+      }
+    }
+    
+    if (timeoutId === undefined) {
+      timeoutId = clock.setTimeout(timerExpired, delay);
+    }
+    
+    return result;
+  }
+  
+  debounced.cancel = function() {
+    if (timeoutId !== undefined) {
+      clock.clearTimeout(timeoutId);
+    }
+    lastInvokeTime = 0;
+    lastArgs = lastCallTime = lastThis = timeoutId = undefined;
+  };
+  
+  debounced.flush = function() {
+    return timeoutId === undefined ? result : trailingEdge(clock.now());
+  };
+  
+  debounced.pending = function() {
+    return timeoutId !== undefined;
+  };
+  
+  return debounced;
+}
+
+// Promise-returning debounce: every call returns a promise for the result of
+// the invocation it was folded into. `superseded` decides what happens to a
+// call that is replaced by a later one before the invocation:
+//   'resolve' - settle with the result of the invocation that replaced it,
+//               or of the latest invocation if its call was dropped (default)
+//   'reject'  - reject right away with cancelError()
+// Aborting `signal` (or calling cancel()) cancels the pending invocation and
+// rejects every pending call. It doesn't disable the debouncer: calls made
+// after the abort are debounced as usual.
+function debounceAsync(func, delay, options = {}) {
+  const { leading, trailing, maxWait, clock, ...asyncOptions } = options;
+  
+  return createAsyncDebounced(func, delay, { leading, trailing, maxWait, clock }, asyncOptions);
+}
+
+function createAsyncDebounced(func, delay, debounceOptions, options) {
+  const {
+    superseded = 'resolve',
+    cancelError = () => createAbortError(),
+    signal
+  } = options;
+  
+  if (superseded !== 'resolve' && superseded !== 'reject') {
+    throw new TypeError(`Unknown superseded mode "${superseded}", expected resolve or reject`);
+  }
+  
+  let waiting = []; // Calls not folded into an invocation yet
+  let lastResult;   // Promise for the latest invocation's result
+  
+  function rejectWaiting(error) {
+    const calls = waiting;
+    waiting = [];
+    calls.forEach(call => call.reject(error));
+  }
+  
+  const debounced = debounceAdvanced(function(...args) {
+    const calls = waiting;
+    waiting = [];
+    
+    // Catches a synchronous throw too; each call adopts the same outcome
+    lastResult = new Promise(resolve => resolve(func.apply(this, args)));
+    calls.forEach(call => call.resolve(lastResult));
+    return lastResult;
+  }, delay, debounceOptions, () => {
+    // Dropped (trailing: false): nothing will run for these calls
+    if (superseded === 'resolve' && lastResult) {
+      const calls = waiting;
+      waiting = [];
+      calls.forEach(call => call.resolve(lastResult));
+    } else {
+      rejectWaiting(cancelError());
+    }
+  });
+  
+  function debouncedAsync(...args) {
+    return new Promise((resolve, reject) => {
+      if (superseded === 'reject') {
+        rejectWaiting(cancelError());
+      }
+      
+      waiting.push({ resolve, reject });
+      debounced.apply(this, args);
+    });
+  }
+  
+  debouncedAsync.cancel = function(error = cancelError()) {
+    debounced.cancel();
+    rejectWaiting(error);
+  };
+  
+  // Invoke now if a call is pending; resolves with the latest result
+  debouncedAsync.flush = function() {
+    debounced.flush();
+    return lastResult || Promise.resolve(undefined);
+  };
+  
+  debouncedAsync.pending = function() {
+    return debounced.pending();
+  };
+  
+  signal?.addEventListener('abort', () => {
+    debouncedAsync.cancel(createAbortError(signal));
+  }, { once: true });
+  
+  return debouncedAsync;
+}
+
+// ============================================
+// THROTTLE
+// ============================================
+
+// A throttle is a debounce whose maxWait equals its wait: it invokes at most
+// once per `delay` ms during a burst of calls. Built on debounceAdvanced, it
+// shares its semantics - the trailing invocation uses the LAST call's
+// arguments, every call returns the result of the latest invocation, and
+// cancel(), flush() and pending() are available.
+function throttle(func, delay, options = {}) {
+  const { leading = true, trailing = true, clock } = options;
+  
+  return debounceAdvanced(func, delay, { leading, trailing, maxWait: delay, clock });
+}
+
+// Kept for existing callers: throttle now has everything this version added
+function throttleAdvanced(func, delay, options = {}) {
+  return throttle(func, delay, options);
+}
+
+// Promise-returning throttle, built the same way as throttle(). Same
+// `superseded`, `cancelError` and `signal` options as debounceAsync.
+function throttleAsync(func, delay, options = {}) {
+  const { leading = true, trailing = true, clock, ...asyncOptions } = options;
+  
+  return createAsyncDebounced(func, delay, { leading, trailing, maxWait: delay, clock }, asyncOptions);
+}
+
+// ============================================
+// FRAME & IDLE SCHEDULING
+// ============================================
+
+// requestAnimationFrame / requestIdleCallback, or setTimeout shims where
+// they don't exist (Node, workers, older browsers). Looked up when each
+// wrapper is created, so polyfills installed later are still picked up.
+// Passing a `clock` always picks the shim, running on that clock.
+function getFrameScheduler(clock) {
+  if (clock === undefined && typeof requestAnimationFrame === 'function') {
+    return {
+      request: callback => requestAnimationFrame(callback),
+      cancel: id => cancelAnimationFrame(id)
+    };
+  }
+  
+  const timerClock = clock || systemClock;
+  
+  // ~60fps
+  return {
+    request: callback => timerClock.setTimeout(() => callback(timerClock.now()), 16),
+    cancel: id => timerClock.clearTimeout(id)
+  };
+}
+
+function getIdleScheduler(clock) {
+  if (clock === undefined && typeof requestIdleCallback === 'function') {
+    return {
+      request: (callback, options) => requestIdleCallback(callback, options),
+      cancel: id => cancelIdleCallback(id)
+    };
+  }
+  
+  const timerClock = clock || systemClock;
+  
+  // Pretend every macrotask is idle, with the browser's 50ms idle budget
+  return {
+    request: callback => {
+      const start = timerClock.now();
+      return timerClock.setTimeout(() => callback({
+        didTimeout: false,
+        timeRemaining: () => Math.max(0, 50 - (timerClock.now() - start))
+      }), 1);
+    },
+    cancel: id => timerClock.clearTimeout(id)
+  };
+}
+
+// Run `func` at most once per animation frame, with the latest arguments.
+// The right fit for scroll/resize/pointermove handlers: a fixed time window
+// either drops frames or runs more often than the screen updates.
+function rafThrottle(func, options = {}) {
+  const { clock } = options;
+  const scheduler = getFrameScheduler(clock);
+  let frameId;
+  let lastArgs;
+  let lastThis;
+  let result;
+  
+  function invokeFunc() {
+    const args = lastArgs;
+    const thisArg = lastThis;
+    
+    frameId = lastArgs = lastThis = undefined;
+    result = func.apply(thisArg, args);
+    return result;
+  }
+  
+  function throttled(...args) {
+    lastArgs = args;
+    lastThis = this;
+    
+    if (frameId === undefined) {
+      frameId = scheduler.request(() => invokeFunc());
+    }
+    
+    return result;
+  }
+  
+  throttled.cancel = function() {
+    if (frameId !== undefined) {
+      scheduler.cancel(frameId);
+    }
+    frameId = lastArgs = lastThis = undefined;
+  };
+  
+  // Run the pending call now instead of on the next frame
+  throttled.flush = function() {
+    if (frameId === undefined) {
+      return result;
+    }
+    scheduler.cancel(frameId);
+    return invokeFunc();
+  };
+  
+  throttled.pending = function() {
+    return frameId !== undefined;
+  };
+  
+  return throttled;
+}
+
+// Debounce until the browser is idle: every call replaces the pending one,
+// which runs with the latest arguments once the main thread has nothing
+// better to do. `timeout` (ms) caps how long a call may wait for idle time.
+function idleDebounce(func, options = {}) {
+  const { timeout, clock } = options;
+  const scheduler = getIdleScheduler(clock);
+  const requestOptions = timeout === undefined ? undefined : { timeout };
+  let idleId;
+  let lastArgs;
+  let lastThis;
+  let result;
+  
+  function invokeFunc() {
+    const args = lastArgs;
+    const thisArg = lastThis;
+    
+    idleId = lastArgs = lastThis = undefined;
+    result = func.apply(thisArg, args);
+    return result;
+  }
+  
+  function debounced(...args) {
+    lastArgs = args;
+    lastThis = this;
+    
+    if (idleId !== undefined) {
+      scheduler.cancel(idleId);
+    }
+    idleId = scheduler.request(() => invokeFunc(), requestOptions);
+    
+    return result;
+  }
+  
+  debounced.cancel = function() {
+    if (idleId !== undefined) {
+      scheduler.cancel(idleId);
+    }
+    idleId = lastArgs = lastThis = undefined;
+  };
+  
+  debounced.flush = function() {
+    if (idleId === undefined) {
+      return result;
+    }
+    scheduler.cancel(idleId);
+    return invokeFunc();
+  };
+  
+  debounced.pending = function() {
+    return idleId !== undefined;
+  };
+  
+  return debounced;
+}
+
+// ============================================
+// RATE LIMITER (Token bucket / Sliding window)
+// ============================================
+
+// throttle drops calls; a rate limiter makes them wait their turn. Each key
+// (e.g. an API endpoint) gets its own independent limit of
+// `tokensPerInterval` per `interval` ms, and waiting acquire() calls are
+// served first-come, first-served per key.
+//   'tokenBucket'   - tokens refill continuously; up to `capacity` (default
+//                     tokensPerInterval) can be spent in one burst
+//   'slidingWindow' - never more than tokensPerInterval in any `interval` ms
+const RATE_LIMIT_STRATEGIES = ['tokenBucket', 'slidingWindow'];
+
+class RateLimiter {
+  constructor(options = {}) {
+    const {
+      tokensPerInterval,
+      interval,
+      strategy = 'tokenBucket',
+      capacity = tokensPerInterval,
+      clock = systemClock
+    } = options;
+    
+    if (!(tokensPerInterval > 0) || !(interval > 0)) {
+      throw new TypeError('tokensPerInterval and interval must be positive numbers');
+    }
+    
+    if (!RATE_LIMIT_STRATEGIES.includes(strategy)) {
+      throw new TypeError(`Unknown strategy "${strategy}", expected one of ${RATE_LIMIT_STRATEGIES.join(', ')}`);
+    }
+    
+    this.tokensPerInterval = tokensPerInterval;
+    this.interval = interval;
+    this.strategy = strategy;
+    // The most a single acquire() can ask for
+    this.capacity = strategy === 'tokenBucket' ? capacity : tokensPerInterval;
+    this.clock = clock;
+    this.keys = new Map();
+    this.nextSweep = clock.now() + interval;
+  }
+  
+  // Resolves once `tokens` tokens have been taken for `key`
+  acquire(tokens = 1, options = {}) {
+    const { key = 'default', signal } = options;
+    
+    return new Promise((resolve, reject) => {
+      this.validate(tokens);
+      
+      if (signal?.aborted) {
+        return reject(createAbortError(signal));
+      }
+      
+      const state = this.getState(key);
+      const request = { tokens, resolve, reject };
+      
+      if (signal) {
+        const onAbort = () => {
+          const index = state.queue.indexOf(request);
+          
+          if (index !== -1) {
+            state.queue.splice(index, 1);
+            reject(createAbortError(signal));
+            // The next request may fit now
+            this.drain(state);
+          }
+        };
+        
+        signal.addEventListener('abort', onAbort, { once: true });
+        request.resolve = () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        };
+      }
+      
+      state.queue.push(request);
+      this.drain(state);
+    });
+  }
+  
+  // Take the tokens now if possible. Never jumps ahead of waiting acquire()s.
+  tryAcquire(tokens = 1, options = {}) {
+    const { key = 'default' } = options;
+    
+    this.validate(tokens);
+    
+    const state = this.getState(key);
+    return state.queue.length === 0 && this.take(state, tokens) === 0;
+  }
+  
+  // Forget the usage of one key, or of every key. Waiting calls keep waiting.
+  reset(key) {
+    const states = key === undefined ? [...this.keys.values()] : [this.keys.get(key)];
+    
+    states.forEach(state => {
+      if (state) {
+        Object.assign(state, this.initialState());
+        this.drain(state);
+      }
+    });
+  }
+  
+  validate(tokens) {
+    if (!(Number.isInteger(tokens) && tokens > 0)) {
+      throw new TypeError('Tokens must be a positive integer, got ' + tokens);
+    }
+    
+    if (tokens > this.capacity) {
+      // Could never be satisfied - fail instead of waiting forever
+      throw new RangeError(`Requested ${tokens} tokens, but the limit is ${this.capacity}`);
+    }
+  }
+  
+  initialState() {
+    return this.strategy === 'tokenBucket'
+      ? { tokens: this.capacity, lastRefill: this.clock.now() }
+      : { log: [], used: 0 };
+  }
+  
+  getState(key) {
+    this.sweep();
+    
+    if (!this.keys.has(key)) {
+      this.keys.set(key, { ...this.initialState(), queue: [], timeoutId: null });
+    }
+    
+    return this.keys.get(key);
+  }
+  
+  // Keys come and go (rateLimit keys by URL, user, ...), so at most once per
+  // interval drop the keys nobody is waiting on that are back to a full
+  // bucket or an empty window - a fresh state is the same thing
+  sweep() {
+    const now = this.clock.now();
+    
+    if (now < this.nextSweep) {
+      return;
+    }
+    
+    this.nextSweep = now + this.interval;
+    
+    this.keys.forEach((state, key) => {
+      if (state.queue.length === 0 && this.isIdle(state, now)) {
+        this.keys.delete(key);
+      }
+    });
+  }
+  
+  isIdle(state, now) {
+    if (this.strategy === 'tokenBucket') {
+      const rate = this.tokensPerInterval / this.interval;
+      return state.tokens + (now - state.lastRefill) * rate >= this.capacity;
+    }
+    
+    return state.log.length === 0 || state.log[state.log.length - 1].time <= now - this.interval;
+  }
+  
+  // Serve waiting requests in order; if the first one doesn't fit yet,
+  // sleep exactly until it will
+  drain(state) {
+    this.clock.clearTimeout(state.timeoutId);
+    state.timeoutId = null;
+    
+    while (state.queue.length > 0) {
+      const wait = this.take(state, state.queue[0].tokens);
+      
+      if (wait > 0) {
+        state.timeoutId = this.clock.setTimeout(() => this.drain(state), wait);
+        return;
+      }
+      
+      state.queue.shift().resolve();
+    }
+  }
+  
+  // Take `tokens` and return 0, or return how many ms until they'd be available
+  take(state, tokens) {
+    const now = this.clock.now();
+    
+    if (this.strategy === 'tokenBucket') {
+      const rate = this.tokensPerInterval / this.interval; // Tokens per ms
+      
+      state.tokens = Math.min(this.capacity, state.tokens + (now - state.lastRefill) * rate);
+      state.lastRefill = now;
+      
+      if (state.tokens >= tokens) {
+        state.tokens -= tokens;
+        return 0;
+      }
+      
+      return Math.ceil((tokens - state.tokens) / rate);
+    }
+    
+    // Sliding window: a log of { time, tokens } for the last `interval` ms
+    while (state.log.length > 0 && state.log[0].time <= now - this.interval) {
+      state.used -= state.log.shift().tokens;
+    }
+    
+    if (state.used + tokens <= this.tokensPerInterval) {
+      state.log.push({ time: now, tokens });
+      state.used += tokens;
+      return 0;
+    }
+    
+    // Wait until enough of the oldest entries have left the window
+    let excess = state.used + tokens - this.tokensPerInterval;
+    
+    for (const entry of state.log) {
+      excess -= entry.tokens;
+      
+      if (excess <= 0) {
+        return Math.max(entry.time + this.interval - now, 1);
+      }
+    }
+  }
+}
+
+// Queue calls to `fn` so it runs at most tokensPerInterval times per
+// `interval` ms. Every call runs eventually (unlike throttle) and returns a
+// promise of its result. `key` can be a function of the call's arguments to
+// limit e.g. per endpoint.
+function rateLimit(fn, options = {}) {
+  const { key = 'default', ...limiterOptions } = options;
+  const limiter = new RateLimiter(limiterOptions);
+  
+  function rateLimited(...args) {
+    const limiterKey = typeof key === 'function' ? key(...args) : key;
+    
+    return limiter.acquire(1, { key: limiterKey }).then(() => fn.apply(this, args));
+  }
+  
+  rateLimited.limiter = limiter;
+  
+  return rateLimited;
+}
+
+// ============================================
+// SETINTERVAL POLYFILL USING SETTIMEOUT
+// ============================================
+
+// These pass their extra arguments on to the callback like setInterval, so
+// options go where the delay does: mySetInterval(fn, { delay: 1000, clock })
+function intervalOptions(delayOrOptions) {
+  return typeof delayOrOptions === 'object' && delayOrOptions !== null
+    ? { clock: systemClock, ...delayOrOptions }
+    : { delay: delayOrOptions, clock: systemClock };
+}
+
+function mySetInterval(callback, delayOrOptions, ...args) {
+  const { delay, clock } = intervalOptions(delayOrOptions);
+  let timeoutId;
+  let count = 0;
+  
+  const interval = () => {
+    timeoutId = clock.setTimeout(() => {
+      callback.apply(this, args);
+      count++;
+      interval();
+    }, delay);
+  };
+  
+  interval();
+  
+  return {
+    clear: () => clock.clearTimeout(timeoutId),
+    count: () => count
+  };
+}
+
+// Advanced with pause/resume
+function mySetIntervalAdvanced(callback, delayOrOptions, ...args) {
+  const { delay, clock } = intervalOptions(delayOrOptions);
+  let timeoutId;
+  let count = 0;
+  let isPaused = false;
+  let startTime = clock.now();
+  let remaining = delay;
+  
+  const interval = () => {
+    if (isPaused) return;
+    
+    startTime = clock.now();
+    timeoutId = clock.setTimeout(() => {
+      if (!isPaused) {
+        callback.apply(this, args);
+        count++;
+        remaining = delay;
+        interval();
+      }
+    }, remaining);
+  };
+  
+  interval();
+  
+  return {
+    clear: () => {
+      clock.clearTimeout(timeoutId);
+      timeoutId = null;
+    },
+    pause: () => {
+      if (!isPaused && timeoutId) {
+        clock.clearTimeout(timeoutId);
+        isPaused = true;
+        remaining -= clock.now() - startTime;
+      }
+    },
+    resume: () => {
+      if (isPaused) {
+        isPaused = false;
+        interval();
+      }
+    },
+    count: () => count
+  };
+}
+
+// Fixed-rate interval: tick n is due at startTime + n * delay, measured with
+// performance.now(), so the callback's run time and timer jitter don't add
+// up the way they do when every tick waits a fresh `delay`.
+//
+// missed:  'skip'    - after a stall, resume at the next slot on the grid
+//          'catchUp' - run the missed ticks back to back, then carry on
+// overlap: 'wait'    - a tick that comes due while an async callback is still
+//                      running waits for it to settle
+//          'skip'    - that tick is dropped
+//
+// A callback that throws (or rejects) doesn't stop the interval: the error
+// goes to `onError`, which by default reports it without crashing Node the
+// way an uncaught throw from a timer would. pause() and resume() work like
+// mySetIntervalAdvanced's: the grid shifts by the time spent paused, so the
+// ticks that would have run meanwhile aren't counted as missed.
+const INTERVAL_MISSED_POLICIES = ['skip', 'catchUp'];
+const INTERVAL_OVERLAP_POLICIES = ['wait', 'skip'];
+
+// globalThis.reportError where there is one (browsers, Deno), else the console
+function reportIntervalError(error) {
+  if (typeof globalThis.reportError === 'function') {
+    globalThis.reportError(error);
+  } else {
+    console.error('Uncaught error in interval callback:', error);
+  }
+}
+
+function mySetIntervalFixedRate(callback, delay, options = {}) {
+  const {
+    missed = 'skip',
+    overlap = 'wait',
+    args = [],
+    onError = reportIntervalError,
+    clock = systemClock
+  } = options;
+  
+  if (!(delay > 0)) {
+    throw new TypeError('delay must be a positive number');
+  }
+  
+  if (!INTERVAL_MISSED_POLICIES.includes(missed)) {
+    throw new TypeError(`Unknown missed policy "${missed}", expected one of ${INTERVAL_MISSED_POLICIES.join(', ')}`);
+  }
+  
+  if (!INTERVAL_OVERLAP_POLICIES.includes(overlap)) {
+    throw new TypeError(`Unknown overlap policy "${overlap}", expected one of ${INTERVAL_OVERLAP_POLICIES.join(', ')}`);
+  }
+  
+  // performance.now() can't jump with the wall clock; an injected clock
+  // brings its own now()
+  const now = clock === systemClock && typeof performance !== 'undefined'
+    ? () => performance.now()
+    : () => clock.now();
+  // Moves forward by the time spent paused
+  let startTime = now();
+  let timeoutId;
+  let cleared = false;
+  let pausedAt = null;
+  let running = false;
+  let waiting = false;
+  let next = 1; // Index of the next tick on the grid
+  let count = 0;
+  let skipped = 0;
+  // How late each tick ran, in ms
+  let lastDrift = 0;
+  let maxDrift = 0;
+  let totalDrift = 0;
+  
+  const schedule = () => {
+    const dueTime = startTime + next * delay;
+    timeoutId = clock.setTimeout(tick, Math.max(0, dueTime - now()));
+  };
+  
+  // Move past the slot that just fired (or was dropped)
+  const advance = time => {
+    if (missed === 'catchUp') {
+      next++;
+      return;
+    }
+    
+    // Timers can fire a hair early by performance.now(), hence the max()
+    const upcoming = Math.max(next + 1, Math.floor((time - startTime) / delay) + 1);
+    skipped += upcoming - next - 1;
+    next = upcoming;
+  };
+  
+  const settle = () => {
+    running = false;
+    
+    if (waiting) {
+      waiting = false;
+      tick();
+    }
+  };
+  
+  function tick() {
+    timeoutId = undefined;
+    if (cleared || pausedAt !== null) return;
+    
+    const time = now();
+    
+    if (running) {
+      if (overlap === 'skip') {
+        skipped++;
+        advance(time);
+        schedule();
+      } else {
+        // settle() runs this tick, late, once the callback is done
+        waiting = true;
+      }
+      return;
+    }
+    
+    lastDrift = Math.max(0, time - (startTime + next * delay));
+    maxDrift = Math.max(maxDrift, lastDrift);
+    totalDrift += lastDrift;
+    count++;
+    advance(time);
+    
+    running = true;
+    let result;
+    
+    try {
+      result = callback(...args);
+    } catch (error) {
+      running = false;
+      schedule();
+      onError(error);
+      return;
+    }
+    
+    schedule();
+    
+    if (result && typeof result.then === 'function') {
+      Promise.resolve(result).then(null, onError).finally(settle);
+    } else {
+      running = false;
+    }
+  }
+  
+  schedule();
+  
+  return {
+    clear: () => {
+      cleared = true;
+      clock.clearTimeout(timeoutId);
+    },
+    pause: () => {
+      if (!cleared && pausedAt === null) {
+        clock.clearTimeout(timeoutId);
+        timeoutId = undefined;
+        pausedAt = now();
+      }
+    },
+    resume: () => {
+      if (!cleared && pausedAt !== null) {
+        startTime += now() - pausedAt;
+        pausedAt = null;
+        
+        // A tick waiting on the callback is run by settle(), which schedules
+        // the next one; scheduling here too would start a second timer chain
+        if (!waiting) {
+          schedule();
+        }
+      }
+    },
+    count: () => count,
+    skipped: () => skipped,
+    drift: () => ({
+      last: lastDrift,
+      max: maxDrift,
+      average: count === 0 ? 0 : totalDrift / count
+    })
+  };
+}
+
+module.exports = {
+  debounce,
+  debounceAdvanced,
+  debounceAsync,
+  throttle,
+  throttleAdvanced,
+  throttleAsync,
+  rafThrottle,
+  idleDebounce,
+  RateLimiter,
+  rateLimit,
+  mySetInterval,
+  mySetIntervalAdvanced,
+  mySetIntervalFixedRate
+};